@@ -0,0 +1,6 @@
+#!/usr/bin/env node
+const cli = require('../src/cli')
+
+cli(process.argv.slice(2)).then((code) => {
+  process.exitCode = code
+})
@@ -1,9 +1,47 @@
 import * as noGenerators from './no-generators'
+import { Readable, Writable } from 'stream'
 
 export type MigrationOptions = noGenerators.MigrationOptions
+export type ChecksumMismatch = noGenerators.ChecksumMismatch
+export type MigrationInfo = noGenerators.MigrationInfo
+export type MigrationStatus = noGenerators.MigrationStatus
 export type DBOptions = noGenerators.DBOptions
+export type PoolOptions = noGenerators.PoolOptions
+export type RetryOptions = noGenerators.RetryOptions
+export type StatementCacheStats = noGenerators.StatementCacheStats
+export type BackupOptions = noGenerators.BackupOptions
+export type BackupResult = noGenerators.BackupResult
+export type RestoreOptions = noGenerators.RestoreOptions
+export type ImportCsvOptions = noGenerators.ImportCsvOptions
+export type ImportNdjsonOptions = noGenerators.ImportNdjsonOptions
+export type ImportResult = noGenerators.ImportResult
+export type SqlFragment = noGenerators.SqlFragment
+export type SqlTag = noGenerators.SqlTag
+export type ConnectHook = noGenerators.ConnectHook
+export type QueryEvent = noGenerators.QueryEvent
+export type CodecName = noGenerators.CodecName
+export type Codec<Value = any, Stored = any> = noGenerators.Codec<Value, Stored>
+export type TransactionOptions = noGenerators.TransactionOptions
 export type DataObject = noGenerators.DataObject
-export type WhereClause = noGenerators.WhereClause
+export type WhereOperators<Value = any> = noGenerators.WhereOperators<Value>
+export type WhereObject<T = DataObject> = noGenerators.WhereObject<T>
+export type WhereClause<T = DataObject> = noGenerators.WhereClause<T>
+export type SelectOptions<RowData = DataObject> = noGenerators.SelectOptions<RowData>
+export type ColumnInfo = noGenerators.ColumnInfo
+export type IndexInfo = noGenerators.IndexInfo
+export type ForeignKeyInfo = noGenerators.ForeignKeyInfo
+export type GenerateTypesOptions = noGenerators.GenerateTypesOptions
+
+export type ExportOptions = {
+    /** The columns that are written. Default: the columns of the first row */
+    columns?: string[]
+    /** Write the names of the columns first. Default: true */
+    header?: boolean
+    /** Default: ',' */
+    delimiter?: string
+    /** How Buffers are written. Default: 'base64' */
+    blobEncoding?: 'base64' | 'hex'
+}
 
 export interface DBInstance extends noGenerators.DBInstance {
 
@@ -13,15 +51,42 @@ export interface DBInstance extends noGenerators.DBInstance {
      *
      * @param {Object} query the SQL-Query that should be run. Can contain placeholders for bind parameters.
      * @param {any} bindParameters You can specify bind parameters @see https://github.com/JoshuaWise/better-sqlite3/wiki/API#binding-parameters
-     * @returns {Iterator}
+     * @returns {AsyncIterator}
+     */
+    queryIterate<RowData = DataObject>(query: string | SqlFragment, ...bindParameters: any[]): AsyncIterableIterator<RowData>
+
+    /**
+     * Returns the rows of a query as a Readable stream in object mode. The rows are read while the stream is consumed.
+     * Destroying the stream finalizes the statement.
+     */
+    queryStream(query: string | SqlFragment, ...bindParameters: any[]): Readable
+
+    /**
+     * Writes the rows of a query as CSV into a stream or file and ends it. Returns the number of written rows.
+     */
+    exportCsv(query: string | SqlFragment, bindParameters: any[], writable: Writable | string, options?: ExportOptions): Promise<number>
+
+    /**
+     * Writes the rows of a query as newline delimited JSON into a stream or file and ends it. Returns the number of written rows.
      */
-    queryIterate<RowData = DataObject>(query: string, ...bindParameters: any[]): Iterable<RowData>
+    exportNdjson(query: string | SqlFragment, bindParameters: any[], writable: Writable | string, options?: Pick<ExportOptions, 'columns' | 'blobEncoding'>): Promise<number>
 
 }
 
 export interface Statement extends noGenerators.Statement {
-    iterate<RowData = DataObject>(...bindParameters: any[]): Iterable<RowData>
+    iterate<RowData = DataObject>(...bindParameters: any[]): AsyncIterableIterator<RowData>
 }
 
-declare const DB: { new(options?: DBOptions): DBInstance } & ((options?: DBOptions) => DBInstance)
+declare const DB: {
+    new(options?: DBOptions): DBInstance
+    /** Returns an instance that was created by calling DB() without new. Default: the instance without a name */
+    get(name?: string): DBInstance
+    /** Closes all instances that were created by calling DB() without new */
+    closeAll(): Promise<void>
+    /** Tag for parameterized SQL, f.e. DB().query(DB.sql`SELECT * FROM users WHERE id IN ${ids}`) */
+    sql: SqlTag
+    /** Restores an instance that was created by calling DB() without new from a backup. Default: the instance without a name */
+    restore(file: string, options?: RestoreOptions & { name?: string }): Promise<void>
+} & ((options?: DBOptions) => DBInstance) & ((name: string, options?: DBOptions) => DBInstance)
 export default DB
+export declare const sql: SqlTag
@@ -1,4 +1,5 @@
 import sqlite3 from "sqlite3";
+import { Readable } from "stream";
 
 export type MigrationOptions = {
     /** Whether to set to 'last' to automatically reapply the last migration-file. Default: false */
@@ -7,6 +8,38 @@ export type MigrationOptions = {
     table?: string;
     /** The path of the migration files. Default: './migrations' */
     migrationsPath?: string;
+    /** The version to migrate up or down to. Default: the version of the newest migration-file */
+    to?: number;
+    /** What to do if an applied migration-file was changed: throw an error, call `onChecksumMismatch` or reapply it (not in production). Default: 'throw' */
+    checksumMismatch?: "throw" | "warn" | "reapply";
+    /** Hook that is called for changed migration-files if `checksumMismatch` is 'warn'. Default: console.warn */
+    onChecksumMismatch?: (mismatch: ChecksumMismatch) => void | Promise<void>;
+};
+
+export type ChecksumMismatch = {
+    id: number;
+    name: string;
+    filename: string;
+    /** checksum of the applied migration */
+    expected: string;
+    /** checksum of the file */
+    actual: string;
+    message: string;
+};
+
+export type MigrationInfo = {
+    id: number;
+    name: string;
+    type: "sql" | "js";
+};
+
+export type MigrationStatus = {
+    /** Migrations that are in the database and have a file */
+    applied: MigrationInfo[];
+    /** Migrations that have a file but are not in the database */
+    pending: MigrationInfo[];
+    /** Migrations that are in the database but have no file anymore */
+    orphaned: MigrationInfo[];
 };
 
 export type DBOptions = {
@@ -22,34 +55,393 @@ export type DBOptions = {
     WAL?: boolean;
     /** Migration options. Disable completely by setting `migrate: false` */
     migrate?: MigrationOptions | false;
+    /** The maximum number of bind parameters of one statement (SQLITE_MAX_VARIABLE_NUMBER) for insertMany and replaceMany. Default: 999 */
+    maxVariables?: number;
+    /** Codecs by table and column, f.e. { users: { settings: 'json', active: 'boolean' } } */
+    codecs?: { [table: string]: { [column: string]: CodecName | Codec } };
+    /** Database files that are attached to every connection by alias, f.e. { archive: './data/archive.db' } */
+    attach?: { [alias: string]: string };
+    /** Pool of read-only connections for query, queryFirstRow, each, queryIterate and select. Needs a database file with WAL. Default: false */
+    pool?: boolean | PoolOptions;
+    /** Pragmas that are set in this order on every connection before the migrations, f.e. { foreign_keys: true, busy_timeout: 5000 } */
+    pragmas?: { [name: string]: string | number | boolean };
+    /** Paths of SQLite extensions that are loaded on every connection */
+    extensions?: string[];
+    /** Functions that are called with every new connection of sqlite3, before the migrations */
+    onConnect?: ConnectHook | ConnectHook[];
+    /** Emit 'slowQuery' for statements that take at least this many milliseconds */
+    slowQueryThresholdMs?: number;
+    /** Hide the parameters in the query events: true replaces each of them, a function returns what is emitted. Default: false */
+    redactParams?: boolean | ((params: any[], sql: string) => any[]);
+    /** Try writes and the start of transactions again on SQLITE_BUSY and SQLITE_LOCKED. `true` uses the defaults. Default: false */
+    retry?: boolean | RetryOptions;
+    /** Cache the prepared statements of the queries by SQL on every connection: true for 100 of them or their maximum number. Default: false */
+    statementCache?: boolean | number;
+};
+
+export type ConnectHook = (connection: sqlite3.Database, info: { reader: boolean }) => Promise<void> | void;
+
+export type QueryEvent = {
+    sql: string;
+    /** The bind parameters, redacted by the option `redactParams` */
+    params: any[];
+    durationMs: number;
+    /** The number of returned rows of reads */
+    rows?: number;
+    /** The number of changed rows of writes */
+    changes?: number;
+    /** Set if the statement failed */
+    error?: Error;
+};
+
+export type RetryOptions = {
+    /** How often a statement is tried at most. Default: 5 */
+    attempts?: number;
+    /** Milliseconds to wait before the second attempt. Default: 50 */
+    delay?: number;
+    /** The delay is multiplied by it for every further attempt. Default: 2 */
+    factor?: number;
+    /** The longest wait in milliseconds. Default: 1000 */
+    maxDelay?: number;
+    /** Wait a random time between the half and the full delay. Default: true */
+    jitter?: boolean;
+};
+
+export type StatementCacheStats = {
+    /** The number of cached statements of all connections */
+    size: number;
+    hits: number;
+    misses: number;
+    /** The number of statements that were finalized because the cache was full */
+    evictions: number;
+};
+
+export type BackupOptions = {
+    /** Gets the progress after every step */
+    progress?: (progress: { totalPages: number; remainingPages: number }) => void;
+    /** The number of pages that are copied at once. Default: 100 */
+    pagesPerStep?: number;
+};
+
+export type BackupResult = {
+    /** The absolute path of the copy */
+    path: string;
+    /** The size of the copy in bytes */
+    size: number;
+    /** The SHA-256 of the copy as hex string */
+    checksum: string;
+};
+
+export type RestoreOptions = BackupOptions & {
+    /** The SHA-256 of the backup; it's checked before anything is changed */
+    checksum?: string;
+};
+
+export type ImportCsvOptions = {
+    /** The columns of the fields in their order. Default: the header of the file */
+    columns?: string[];
+    /** Whether the first line has the names of the columns. With `columns` it's skipped. Default: true */
+    header?: boolean;
+    /** Default: ',' */
+    delimiter?: string;
+    /** The number of rows per transaction. Default: 500 */
+    batchSize?: number;
+    /** Skip, replace or update existing rows. Default: a conflict is an error of the row */
+    onConflict?: "ignore" | "replace" | "upsert";
+    /** The conflict columns for 'upsert' */
+    conflictColumns?: string | string[];
+};
+
+export type ImportNdjsonOptions = {
+    /** The columns that can be set. Default: the keys of the first object */
+    columns?: string[];
+    /** The number of rows per transaction. Default: 500 */
+    batchSize?: number;
+    /** Skip, replace or update existing rows. Default: a conflict is an error of the row */
+    onConflict?: "ignore" | "replace" | "upsert";
+    /** The conflict columns for 'upsert' */
+    conflictColumns?: string | string[];
+};
+
+export type ImportResult = {
+    /** The number of inserted, replaced or updated rows */
+    inserted: number;
+    /** The number of skipped rows */
+    skipped: number;
+    /** The rows that failed, by line of the file */
+    errors: { line: number; message: string }[];
+};
+
+/** Parameterized SQL, created by the tag `sql` */
+export interface SqlFragment {
+    /** The SQL with ? as placeholders */
+    readonly text: string;
+    /** The values for the placeholders */
+    readonly params: any[];
+}
+
+export type SqlTag = {
+    (strings: TemplateStringsArray, ...values: any[]): SqlFragment;
+    /** Quotes the name of a table or column. A name with a dot is qualified, f.e. 'u.email' becomes `u`.`email` */
+    id(name: string): SqlFragment;
+    /** Joins values or fragments. Default separator: ', ' */
+    join(values: any[], separator?: string): SqlFragment;
+};
+
+export type PoolOptions = {
+    /** The maximum number of read-only connections. Default: 4 */
+    readers?: number;
+    /** Milliseconds until an unused read-only connection is closed. Default: 30000 */
+    idleTimeout?: number;
+};
+
+export type CodecName = 'json' | 'boolean' | 'date' | 'buffer';
+
+export type Codec<Value = any, Stored = any> = {
+    /** Converts the value before it's written. Not called for null and undefined */
+    encode(value: Value): Stored;
+    /** Converts the value after it's read. Not called for null */
+    decode(value: Stored): Value;
+};
+
+export type TransactionOptions = {
+    /** How the transaction locks the database: 'DEFERRED', 'IMMEDIATE' or 'EXCLUSIVE'. Ignored for nested transactions. Default: 'DEFERRED' */
+    mode?: "DEFERRED" | "IMMEDIATE" | "EXCLUSIVE";
 };
 
 export type DataObject = { [key: string]: any };
 
+export type WhereOperators<Value = any> = {
+    eq?: Value | null;
+    ne?: Value | null;
+    gt?: Value;
+    gte?: Value;
+    lt?: Value;
+    lte?: Value;
+    like?: string;
+    notLike?: string;
+    glob?: string;
+    notGlob?: string;
+    in?: Value[];
+    notIn?: Value[];
+    between?: [Value, Value];
+};
+
+export type WhereObject<T = DataObject> = {
+    [Key in keyof T]?: T[Key] | null | T[Key][] | WhereOperators<T[Key]>;
+} & {
+    $or?: WhereObject<T>[];
+    $and?: WhereObject<T>[];
+};
+
 /**
  * Specifies a where clause.
  *
  *   - Either a string containing the value to use as ID that will be translated to ['id = ?', id]
  *   - Or an array with a string and the replacements for ? after that. F.e. ['id > ? && name = ?', id, name].
  *   - Or an object with key values. F.e. {id: params.id}. Or simply an ID that will be translated to ['id = ?', id]
+ *     `null` becomes `IS NULL`, an array becomes `IN (...)` and an object can contain the operators
+ *     eq, ne, gt, gte, lt, lte, like, notLike, glob, notGlob, in, notIn and between. F.e. {age: {gt: 18}, name: {like: 'a%'}}.
+ *     The keys `$or` and `$and` take an array of such objects.
  */
-export type WhereClause<T = DataObject> = string | any[] | Partial<T>;
+export type WhereClause<T = DataObject> = string | number | any[] | SqlFragment | WhereObject<T>;
+
+export type ColumnInfo = {
+    name: string;
+    type: string;
+    notNull: boolean;
+    /** SQL-text of the default value */
+    defaultValue: string | null;
+    /** Position of the column in the primary key or 0 */
+    primaryKey: number;
+};
+
+export type IndexInfo = {
+    name: string;
+    unique: boolean;
+    /** 'c' for CREATE INDEX, 'u' for UNIQUE constraints and 'pk' for PRIMARY KEY constraints */
+    origin: "c" | "u" | "pk";
+    partial: boolean;
+    columns: string[];
+};
+
+export type ForeignKeyInfo = {
+    id: number;
+    table: string;
+    from: string[];
+    to: string[];
+    onUpdate: string;
+    onDelete: string;
+    match: string;
+};
+
+export type GenerateTypesOptions = {
+    moduleName?: string;
+    exclude?: string[];
+};
+
+export type SelectOptions<RowData = DataObject> = {
+    /** The same as for update and delete. Without it all rows are selected */
+    where?: WhereClause<RowData>;
+    /** Array of column names or a string with the select part of the query. Default: '*' */
+    columns?: (keyof RowData & string)[] | string;
+    /** String with the order part of the query, array of column names or object with the column as key and 'ASC' or 'DESC' as value */
+    orderBy?: string | (keyof RowData & string)[] | { [Key in keyof RowData]?: "ASC" | "DESC" | "asc" | "desc" };
+    limit?: number;
+    offset?: number;
+};
 
 export interface DBInstance {
     connection(): Promise<sqlite3.Database>;
 
-    prepare(sql: string, ...params: any[]): Promise<Statement>;
+    prepare(sql: string | SqlFragment, ...params: any[]): Promise<Statement>;
+
+    exec(sql: string | SqlFragment): Promise<void>;
+
+    /**
+     * Runs a callback inside a transaction. The transaction is committed when the callback resolves and rolled back when it throws.
+     * It starts after the calls that are already running. While it runs, all other calls to this instance and its prepared statements
+     * wait until it is finished; use only the `tx` argument inside the callback. Calls of the instance itself inside the
+     * callback would wait forever, so they throw an error.
+     * Calling `tx.transaction()` inside the callback creates a nested transaction with a SAVEPOINT.
+     *
+     * @example await DB().transaction(async (tx) => { await tx.insert('users', user); await tx.update('stats', data, 1) })
+     * @param {Function} callback async function that gets the transaction-scoped instance as parameter
+     * @param {Object} options optional. `mode` can be 'DEFERRED' (default), 'IMMEDIATE' or 'EXCLUSIVE'. Ignored for nested transactions.
+     * @returns {any} The result of the callback
+     */
+    transaction<Result = any>(callback: (tx: this) => Promise<Result> | Result, options?: TransactionOptions): Promise<Result>;
+
+    /**
+     * Returns the names of all tables without the internal sqlite_* tables. The schema is cached until it's changed by exec or migrate.
+     *
+     * @param {String} schema optional. Name of an attached database. Default: the main database
+     */
+    tables(schema?: string): Promise<string[]>;
 
-    exec(sql: string): Promise<void>;
+    /**
+     * Returns the names of all views. The schema is cached until it's changed by exec or migrate.
+     *
+     * @param {String} schema optional. Name of an attached database. Default: the main database
+     */
+    views(schema?: string): Promise<string[]>;
+
+    /**
+     * Attaches another database file. Its tables can be used with the alias as schema, f.e. `SELECT * FROM archive.Setting`
+     * or `DB().select('archive.Setting')`. The database is attached again to every new connection.
+     *
+     * @param {String} alias the schema name of the database
+     * @param {String} file path of the database file
+     */
+    attach(alias: string, file: string): Promise<void>;
+
+    /**
+     * Detaches a database that was attached with the option `attach` or the attach function
+     *
+     * @param {String} alias the schema name of the database
+     */
+    detach(alias: string): Promise<void>;
 
-    //DB.prototype.pragma = function (source, simplify = false) {
+    /**
+     * Returns the columns of a table. The schema is cached until it's changed by exec or migrate.
+     *
+     * @example [{ name: 'id', type: 'INTEGER', notNull: false, defaultValue: null, primaryKey: 1 }]
+     * @param {String} table Name of the table
+     */
+    columns(table: string): Promise<ColumnInfo[]>;
+
+    /**
+     * Returns the indexes of a table. The schema is cached until it's changed by exec or migrate.
+     *
+     * @example [{ name: 'Setting_index_key', unique: false, origin: 'c', partial: false, columns: ['key'] }]
+     * @param {String} table Name of the table
+     */
+    indexes(table: string): Promise<IndexInfo[]>;
+
+    /**
+     * Returns the foreign keys of a table. The schema is cached until it's changed by exec or migrate.
+     *
+     * @example [{ id: 0, table: 'Category', from: ['categoryId'], to: ['id'], onUpdate: 'CASCADE', onDelete: 'CASCADE', match: 'NONE' }]
+     * @param {String} table Name of the table
+     */
+    foreignKeys(table: string): Promise<ForeignKeyInfo[]>;
+
+    /**
+     * Creates the content of a TypeScript declaration file with an interface for the rows of every table
+     * and a `TypedDBInstance` whose CRUD-functions are typed by the name of the table.
+     *
+     * @param {Object} options optional. `moduleName`: the module to import the types from (default 'sqlite3-helper'), `exclude`: tables to leave out (default: the migrations table)
+     * @returns {String}
+     */
+    generateTypes(options?: GenerateTypesOptions): Promise<string>;
+
+    /**
+     * Runs a PRAGMA statement and returns the result. Without a value the pragma is only read.
+     * @see https://www.sqlite.org/pragma.html
+     *
+     * @example await DB().pragma('foreign_keys', true); await DB().pragma('journal_mode') // 'wal'
+     * @param {String} name Name of the pragma. Can be qualified with the schema, f.e. 'archive.journal_mode'
+     * @param {any} value optional. The value to set or the argument of the pragma, f.e. the table for table_info. Booleans become ON and OFF
+     * @returns {any} One value if the result has one row and one column, an array of the values if all rows have one column,
+     *   an array of the rows otherwise and undefined for no rows
+     */
+    pragma<Result = any>(name: string, value?: string | number | boolean): Promise<Result>;
 
     //DB.prototype.checkpoint = function (databaseName) {
 
     //DB.prototype.register = function (...args) {
 
+    /**
+     * Loads a compiled SQLite extension, f.e. for full text search or math functions. The extension is loaded again
+     * to every new connection. Without a connection it's loaded when the connection is opened.
+     * @see https://www.sqlite.org/loadext.html
+     *
+     * @param {String} file path of the extension
+     */
+    loadExtension(file: string): Promise<void>;
+
+    /**
+     * Adds a function that is called with every new connection of sqlite3, f.e. to configure it or to create temporary
+     * tables and views. It's called after the extensions, attached databases and pragmas, before the migrations.
+     * The readers of the pool call it with `{ reader: true }`. If the connection is open, the function is called right away.
+     *
+     * @param {Function} hook async function that gets the connection of sqlite3 and `{ reader }`
+     */
+    onConnect(hook: ConnectHook): Promise<void>;
+
+    /**
+     * Listens to the statements that are sent to SQLite, including prepared statements, transactions and migrations.
+     * `slowQuery` is emitted for statements that take at least the option `slowQueryThresholdMs`.
+     */
+    on(event: 'query' | 'slowQuery', listener: (event: QueryEvent) => void): this;
+    once(event: 'query' | 'slowQuery', listener: (event: QueryEvent) => void): this;
+    off(event: 'query' | 'slowQuery', listener: (event: QueryEvent) => void): this;
+    removeAllListeners(event?: 'query' | 'slowQuery'): this;
+
+    /**
+     * Writes a consistent copy of the database into a file while the database stays in use.
+     * It uses the backup API of SQLite or `VACUUM INTO`. An existing file is overwritten.
+     *
+     * @param {String} file path of the copy
+     * @returns {Object} the path, the size and the SHA-256 of the copy
+     */
+    backup(file: string, options?: BackupOptions): Promise<BackupResult>;
+
+    /**
+     * Replaces the database with a backup. Other calls wait until it's restored; after that the connections are
+     * opened again and the migrations run.
+     *
+     * @param {String} file path of the backup
+     */
+    restore(file: string, options?: RestoreOptions): Promise<void>;
+
     close(): Promise<void>;
 
+    /**
+     * Returns the counters of the cache of prepared statements, see the option `statementCache`
+     */
+    statementCacheStats(): StatementCacheStats;
+
     //DB.prototype.defaultSafeIntegers = function (toggleState) {
 
     /**
@@ -65,7 +457,7 @@ export interface DBInstance {
      * @param {any} bindParameters You can specify bind parameters @see https://github.com/JoshuaWise/better-sqlite3/wiki/API#binding-parameters
      * @returns {object}
      */
-    run(query: string, ...bindParameters: any[]): Promise<sqlite3.RunResult>;
+    run(query: string | SqlFragment, ...bindParameters: any[]): Promise<sqlite3.RunResult>;
 
     /**
      * Returns all values of a query
@@ -75,7 +467,7 @@ export interface DBInstance {
      * @param {any} bindParameters You can specify bind parameters @see https://github.com/JoshuaWise/better-sqlite3/wiki/API#binding-parameters
      * @returns {array}
      */
-    query<RowData = DataObject>(query: string, ...bindParameters: any[]): Promise<RowData[]>;
+    query<RowData = DataObject>(query: string | SqlFragment, ...bindParameters: any[]): Promise<RowData[]>;
 
     /**
      * Similar to .query(), but instead of returning every row together, an iterator is returned so you can retrieve the rows one by one.
@@ -83,9 +475,9 @@ export interface DBInstance {
      *
      * @param {Object} query the SQL-Query that should be run. Can contain placeholders for bind parameters.
      * @param {any} bindParameters You can specify bind parameters @see https://github.com/JoshuaWise/better-sqlite3/wiki/API#binding-parameters
-     * @returns {Iterator}
+     * @returns {AsyncIterator}
      */
-    queryIterate<RowData = DataObject>(query: string, ...bindParameters: any[]): Iterable<RowData>;
+    queryIterate<RowData = DataObject>(query: string | SqlFragment, ...bindParameters: any[]): AsyncIterableIterator<RowData>;
 
     /**
      * Returns the values of the first row of the query-result
@@ -95,7 +487,7 @@ export interface DBInstance {
      * @param {any} bindParameters You can specify bind parameters @see https://github.com/JoshuaWise/better-sqlite3/wiki/API#binding-parameters
      * @returns {Object|null}
      */
-    queryFirstRow<RowData = DataObject>(query: string, ...bindParameters: any[]): Promise<RowData | null>;
+    queryFirstRow<RowData = DataObject>(query: string | SqlFragment, ...bindParameters: any[]): Promise<RowData | null>;
 
     /**
      * Returns the values of the first row of the query-result
@@ -107,7 +499,7 @@ export interface DBInstance {
      * @param {any} bindParameters You can specify bind parameters @see https://github.com/JoshuaWise/better-sqlite3/wiki/API#binding-parameters
      * @returns {Object}
      */
-    queryFirstRowObject<RowData = DataObject>(query: string, ...bindParameters: any[]): Promise<RowData | {}>;
+    queryFirstRowObject<RowData = DataObject>(query: string | SqlFragment, ...bindParameters: any[]): Promise<RowData | {}>;
 
     /**
      * Returns the value of the first column in the first row of the query-result
@@ -116,7 +508,7 @@ export interface DBInstance {
      * @param {any} bindParameters You can specify bind parameters @see https://github.com/JoshuaWise/better-sqlite3/wiki/API#binding-parameters
      * @returns {any}
      */
-    queryFirstCell<CellType = any>(query: string, ...bindParameters: any[]): Promise<CellType | undefined>;
+    queryFirstCell<CellType = any>(query: string | SqlFragment, ...bindParameters: any[]): Promise<CellType | undefined>;
 
     /**
      * Calls a callback for every row
@@ -126,17 +518,17 @@ export interface DBInstance {
      * @param {any} callback the callback that is called
      * @returns {integer} count
      */
-    each<RowData = DataObject>(query: string, p1: any, callback: (row: RowData) => void): Promise<number>;
-    each<RowData = DataObject>(query: string, p1: any, p2: any, callback: (row: RowData) => void): Promise<number>;
+    each<RowData = DataObject>(query: string | SqlFragment, p1: any, callback: (row: RowData) => void): Promise<number>;
+    each<RowData = DataObject>(query: string | SqlFragment, p1: any, p2: any, callback: (row: RowData) => void): Promise<number>;
     each<RowData = DataObject>(
-        query: string,
+        query: string | SqlFragment,
         p1: any,
         p2: any,
         p3: any,
         callback: (row: RowData) => void
     ): Promise<number>;
     each<RowData = DataObject>(
-        query: string,
+        query: string | SqlFragment,
         p1: any,
         p2: any,
         p3: any,
@@ -144,7 +536,7 @@ export interface DBInstance {
         callback: (row: RowData) => void
     ): Promise<number>;
     each<RowData = DataObject>(
-        query: string,
+        query: string | SqlFragment,
         p1: any,
         p2: any,
         p3: any,
@@ -153,7 +545,7 @@ export interface DBInstance {
         callback: (row: RowData) => void
     ): Promise<number>;
     each<RowData = DataObject>(
-        query: string,
+        query: string | SqlFragment,
         p1: any,
         p2: any,
         p3: any,
@@ -163,7 +555,7 @@ export interface DBInstance {
         callback: (row: RowData) => void
     ): Promise<number>;
     each<RowData = DataObject>(
-        query: string,
+        query: string | SqlFragment,
         p1: any,
         p2: any,
         p3: any,
@@ -174,7 +566,7 @@ export interface DBInstance {
         callback: (row: RowData) => void
     ): Promise<number>;
     each<RowData = DataObject>(
-        query: string,
+        query: string | SqlFragment,
         p1: any,
         p2: any,
         p3: any,
@@ -186,7 +578,7 @@ export interface DBInstance {
         callback: (row: RowData) => void
     ): Promise<number>;
     each<RowData = DataObject>(
-        query: string,
+        query: string | SqlFragment,
         p1: any,
         p2: any,
         p3: any,
@@ -199,7 +591,7 @@ export interface DBInstance {
         callback: (row: RowData) => void
     ): Promise<number>;
     each<RowData = DataObject>(
-        query: string,
+        query: string | SqlFragment,
         p1: any,
         p2: any,
         p3: any,
@@ -212,7 +604,7 @@ export interface DBInstance {
         p10: any,
         callback: (row: RowData) => void
     ): Promise<number>;
-    each<RowData = DataObject>(query: string, ...bindParameters: any[]): Promise<number>;
+    each<RowData = DataObject>(query: string | SqlFragment, ...bindParameters: any[]): Promise<number>;
 
     /**
      * Returns an Array that only contains the values of the specified column
@@ -222,7 +614,7 @@ export interface DBInstance {
      * @param {any} bindParameters You can specify bind parameters @see https://github.com/JoshuaWise/better-sqlite3/wiki/API#binding-parameters
      * @returns {array}
      */
-    queryColumn<ColumnType = any>(column: string, query: string, ...bindParameters: any[]): Promise<ColumnType[]>;
+    queryColumn<ColumnType = any>(column: string, query: string | SqlFragment, ...bindParameters: any[]): Promise<ColumnType[]>;
 
     /**
      * Returns a Object that get it key-value-combination from the result of the query
@@ -236,7 +628,7 @@ export interface DBInstance {
     queryKeyAndColumn<ValueColumnType = any>(
         key: string,
         column: string,
-        query: string,
+        query: string | SqlFragment,
         ...bindParameters: any[]
     ): Promise<{ [key: string]: ValueColumnType }>;
 
@@ -245,7 +637,7 @@ export interface DBInstance {
      *
      * @param {String} table Name of the table
      * @param {Object} data a Object of data to set. Key is the name of the column. Value 'undefined' is filtered
-     * @param {String|Array|Object} where required. array with a string and the replacements for ? after that. F.e. ['id > ? && name = ?', id, name]. Or an object with key values. F.e. {id: params.id}. Or simply an ID that will be translated to ['id = ?', id]
+     * @param {String|Array|Object} where required. array with a string and the replacements for ? after that. F.e. ['id > ? && name = ?', id, name]. Or an object with key values and operators. F.e. {id: [1, 2], deleted: null, age: {gt: 18}, $or: [{...}, {...}]}. Or simply an ID that will be translated to ['id = ?', id]
      * @param {undefined|Array} whiteList optional List of columns that can only be updated with "data"
      * @returns {Integer} The number of updated rows
      */
@@ -261,7 +653,7 @@ export interface DBInstance {
      *
      * @param {String} table Name of the table
      * @param {Object} data a Object of data to set. Key is the name of the column. Value 'undefined' is filtered
-     * @param {String|Array|Object} where required. array with a string and the replacements for ? after that. F.e. ['id > ? && name = ?', id, name]. Or an object with key values. F.e. {id: params.id}. Or simply an ID that will be translated to ['id = ?', id]
+     * @param {String|Array|Object} where required. array with a string and the replacements for ? after that. F.e. ['id > ? && name = ?', id, name]. Or an object with key values and operators. F.e. {id: [1, 2], deleted: null, age: {gt: 18}, $or: [{...}, {...}]}. Or simply an ID that will be translated to ['id = ?', id]
      * @param {undefined|Array} whiteBlackList optional List of columns that can not be updated with "data" (blacklist)
      * @returns {Integer} The number of updated rows
      */
@@ -324,19 +716,174 @@ export interface DBInstance {
         blackList?: string[]
     ): Promise<number>;
 
+    /**
+     * Inserts many rows in one transaction. The rows are split into chunks, so no statement has more bind parameters
+     * than the option `maxVariables` allows. Every row can have its own columns; columns that are missing in a row
+     * get their default value.
+     *
+     * A table WITHOUT ROWID has no IDs, so its rows are returned as the value of their primary key (an array
+     * of the values for a primary key with more than one column).
+     *
+     * @param {String} table Name of the table
+     * @param {Array} data an array of objects. Key is the name of the column. Value 'undefined' is filtered
+     * @param {undefined|Array} whiteList optional List of columns that only can be set with "data"
+     * @returns {Array} The IDs of all inserted rows
+     */
+    insertMany<RowData = DataObject, ID = number>(table: string, data: Partial<RowData>[], whiteList?: string[]): Promise<ID[]>;
+
+    /**
+     * Replaces many rows in one transaction. The rows are split into chunks, so no statement has more bind parameters
+     * than the option `maxVariables` allows. Every row can have its own columns; columns that are missing in a row
+     * get their default value.
+     *
+     * A table WITHOUT ROWID has no IDs, so its rows are returned as the value of their primary key (an array
+     * of the values for a primary key with more than one column).
+     *
+     * @param {String} table Name of the table
+     * @param {Array} data an array of objects. Key is the name of the column. Value 'undefined' is filtered
+     * @param {undefined|Array} whiteList optional List of columns that only can be set with "data"
+     * @returns {Array} The IDs of all replaced rows
+     */
+    replaceMany<RowData = DataObject, ID = number>(table: string, data: Partial<RowData>[], whiteList?: string[]): Promise<ID[]>;
+
+    /**
+     * Imports a CSV file into a table. The file is parsed while it's read and the rows are inserted in transactions
+     * of `batchSize` rows. A row that fails a constraint is skipped and reported with its line; other errors stop the
+     * import, the batches before are kept. Unquoted empty fields are inserted as null, all other values as text.
+     *
+     * @param {String} table Name of the table
+     * @param {Readable|String} source a stream or the path of the file
+     * @returns {Object} the number of inserted and skipped rows and the errors of the failed rows
+     */
+    importCsv(table: string, source: Readable | string, options?: ImportCsvOptions): Promise<ImportResult>;
+
+    /**
+     * Imports a file with one JSON object per line into a table, in transactions of `batchSize` rows. Missing keys
+     * are inserted as null. Invalid JSON, unknown keys and failed constraints are reported with the line of the row.
+     * The values are encoded with the codecs of the table.
+     *
+     * @param {String} table Name of the table
+     * @param {Readable|String} source a stream or the path of the file
+     * @returns {Object} the number of inserted and skipped rows and the errors of the failed rows
+     */
+    importNdjson(table: string, source: Readable | string, options?: ImportNdjsonOptions): Promise<ImportResult>;
+
+    /**
+     * Create an insert statement that updates the existing row if it conflicts with a unique index or the primary key
+     * (INSERT ... ON CONFLICT(...) DO UPDATE). Unlike replace the existing row is not deleted.
+     *
+     * @param {String} table Name of the table
+     * @param {Object|Array} data a Object of data to set. Key is the name of the column. Can be an array of objects.
+     * @param {String|Array} conflictColumns Column(s) of the unique index or primary key that can conflict
+     * @param {undefined|Array|Object} whiteList optional List of columns that only can be set with "data".
+     *   Or an object `{ whiteList, update }`, where `update` is the list of columns that are updated on a conflict.
+     *   Default for `update`: all columns of "data" that are not conflict columns
+     * @returns {Integer} The ID of the inserted or updated row, of the last row for an array. The primary key for a table WITHOUT ROWID
+     */
+    upsert<RowData = DataObject, ID = number>(
+        table: string,
+        data: Partial<RowData> | Partial<RowData>[],
+        conflictColumns: string | string[],
+        whiteList?: string[] | { whiteList?: string[]; update?: string[] }
+    ): Promise<ID>;
+
+    /**
+     * Create an insert statement that updates the existing row if it conflicts with a unique index or the primary key
+     * (INSERT ... ON CONFLICT(...) DO UPDATE). Unlike replace the existing row is not deleted.
+     *
+     * @param {String} table Name of the table
+     * @param {Object|Array} data a Object of data to set. Key is the name of the column. Can be an array of objects.
+     * @param {String|Array} conflictColumns Column(s) of the unique index or primary key that can conflict
+     * @param {undefined|Array|Object} blackList optional List of columns that can not be set with "data".
+     *   Or an object `{ blackList, update }`, where `update` is the list of columns that are updated on a conflict.
+     * @returns {Integer} The ID of the inserted or updated row, of the last row for an array. The primary key for a table WITHOUT ROWID
+     */
+    upsertWithBlackList<RowData = DataObject, ID = number>(
+        table: string,
+        data: Partial<RowData> | Partial<RowData>[],
+        conflictColumns: string | string[],
+        blackList?: string[] | { blackList?: string[]; update?: string[] }
+    ): Promise<ID>;
+
     /**
      * Create a delete statement; create more complex one with exec yourself.
      *
      * @param {String} table required. Name of the table
-     * @param {String|Array|Object} where required. array with a string and the replacements for ? after that. F.e. ['id > ? && name = ?', id, name]. Or an object with key values. F.e. {id: params.id}. Or simply an ID that will be translated to ['id = ?', id]
+     * @param {String|Array|Object} where required. array with a string and the replacements for ? after that. F.e. ['id > ? && name = ?', id, name]. Or an object with key values and operators. F.e. {id: [1, 2], deleted: null, age: {gt: 18}, $or: [{...}, {...}]}. Or simply an ID that will be translated to ['id = ?', id]
      * @returns {Integer} Number of changed rows
      */
     delete<RowData = DataObject>(table: string, where: WhereClause<RowData>): Promise<number>;
 
     /**
-     * Migrates database schema to the latest version
+     * Create a select statement; create more complex one with query yourself.
+     *
+     * @example const users = await DB().select('users', { where: { deleted: null }, columns: ['id', 'email'], orderBy: { lastName: 'ASC' }, limit: 10 })
+     * @param {String} table required. Name of the table
+     * @param {Object} options optional.
+     *   `where`: the same as for update and delete. Without it all rows are selected
+     *   `columns`: array of column names or a string with the select part of the query. Default: '*'
+     *   `orderBy`: string with the order part of the query, array of column names or object with the column as key and 'ASC' or 'DESC' as value
+     *   `limit` and `offset`: integers
+     * @returns {Array} The selected rows
+     */
+    select<RowData = DataObject>(table: string, options?: SelectOptions<RowData>): Promise<RowData[]>;
+
+    /**
+     * Create a select statement and return the first row; create more complex one with queryFirstRow yourself.
+     *
+     * @param {String} table required. Name of the table
+     * @param {Object} options optional. The same as for select
+     * @returns {Object|undefined} The first selected row
+     */
+    selectFirst<RowData = DataObject>(table: string, options?: SelectOptions<RowData>): Promise<RowData | undefined>;
+
+    /**
+     * Returns the number of rows
+     *
+     * @param {String} table required. Name of the table
+     * @param {String|Array|Object} where optional. The same as for update and delete. Without it all rows are counted
+     * @returns {Integer} Number of rows
+     */
+    count<RowData = DataObject>(table: string, where?: WhereClause<RowData>): Promise<number>;
+
+    /**
+     * Returns whether a row exists
+     *
+     * @param {String} table required. Name of the table
+     * @param {String|Array|Object} where optional. The same as for update and delete. Without it any row is enough
+     * @returns {Boolean}
+     */
+    exists<RowData = DataObject>(table: string, where?: WhereClause<RowData>): Promise<boolean>;
+
+    /**
+     * Migrates database schema to the latest version or to the version given with `to`. Like a transaction it starts after
+     * the calls that are already running, and other calls wait until it is finished.
+     *
+     * @param {Object} options optional. Defaults to the migrate-options of the instance
      */
     migrate(options?: MigrationOptions): Promise<void>;
+
+    /**
+     * Rolls back the last applied migrations. The down-steps are taken from the migrations table,
+     * so it works even if the migration files are gone. Other calls wait until it is finished, like for `migrate`.
+     *
+     * @param {Integer} steps optional. Number of migrations to roll back. Default: 1
+     * @param {Object} options optional. Defaults to the migrate-options of the instance
+     * @returns {Integer} The version of the database after the rollback
+     */
+    rollback(steps?: number, options?: MigrationOptions): Promise<number>;
+
+    /**
+     * Returns the state of all migrations without changing anything:
+     *
+     * applied: Migrations that are in the database and have a file.
+     * pending: Migrations that have a file but are not in the database.
+     * orphaned: Migrations that are in the database but have no file anymore.
+     *
+     * @param {Object} options optional. Defaults to the migrate-options of the instance
+     * @returns {Object} `{ applied, pending, orphaned }` with lists of `{ id, name, type }`
+     */
+    migrationStatus(options?: MigrationOptions): Promise<MigrationStatus>;
 }
 
 interface Statement {
@@ -422,5 +969,16 @@ interface Statement {
     each<RowData = DataObject>(...bindParameters: any[]): Promise<number>;
 }
 
-declare const DB: { new (options?: DBOptions): DBInstance } & ((options?: DBOptions) => DBInstance);
+declare const DB: {
+    new (options?: DBOptions): DBInstance;
+    /** Returns an instance that was created by calling DB() without new. Default: the instance without a name */
+    get(name?: string): DBInstance;
+    /** Closes all instances that were created by calling DB() without new */
+    closeAll(): Promise<void>;
+    /** Tag for parameterized SQL, f.e. DB().query(DB.sql`SELECT * FROM users WHERE id IN ${ids}`) */
+    sql: SqlTag;
+    /** Restores an instance that was created by calling DB() without new from a backup. Default: the instance without a name */
+    restore(file: string, options?: RestoreOptions & { name?: string }): Promise<void>;
+} & ((options?: DBOptions) => DBInstance) & ((name: string, options?: DBOptions) => DBInstance);
 export default DB;
+export declare const sql: SqlTag;
@@ -0,0 +1,58 @@
+const fs = require('fs')
+const crypto = require('crypto')
+
+/**
+ * Copies the pages between the main database of a connection and a file with the backup API of SQLite.
+ * The copy is done in steps, so other calls can use the connection in between. If another connection writes
+ * during the backup, SQLite starts it again; writes of the same connection are copied along.
+ *
+ * @param {sqlite3.Database} connection
+ * @param {String} file path of the other database file
+ * @param {Boolean} toFile true to write the connection into the file, false to read the file into the connection
+ * @param {Object} options `progress`: function that gets `{ totalPages, remainingPages }` after every step.
+ *   `pagesPerStep`: number of pages that are copied at once
+ * @returns {Integer} the number of copied pages
+ */
+async function copyPages (connection, file, toFile, { progress, pagesPerStep }) {
+  const backup = await new Promise((resolve, reject) => {
+    const backup = connection.backup(file, 'main', 'main', toFile, (err) => (err ? reject(err) : resolve(backup)))
+  })
+  try {
+    let remaining
+    while (!backup.completed) {
+      await new Promise((resolve, reject) => backup.step(pagesPerStep, (err) => (err ? reject(err) : resolve())))
+      if (backup.failed) {
+        throw new Error('The backup of SQLite failed')
+      }
+      if (progress) {
+        progress({ totalPages: backup.pageCount, remainingPages: backup.remaining })
+      }
+      if (!backup.completed && backup.remaining === remaining) {
+        // another connection holds a lock
+        await new Promise((resolve) => setTimeout(resolve, 10))
+      }
+      remaining = backup.remaining
+    }
+    return backup.pageCount
+  } finally {
+    await new Promise((resolve) => backup.finish(() => resolve()))
+  }
+}
+
+/**
+ * Returns the SHA-256 of a file as hex string
+ */
+function checksumFile (file) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256')
+    fs.createReadStream(file)
+      .on('error', reject)
+      .on('data', (chunk) => hash.update(chunk))
+      .on('end', () => resolve(hash.digest('hex')))
+  })
+}
+
+module.exports = {
+  copyPages,
+  checksumFile
+}
@@ -0,0 +1,111 @@
+const { trace } = require('./trace')
+
+/**
+ * A LRU cache of the prepared statements of one connection, by SQL. Statements that are pushed out are finalized.
+ * The cache holds promises, so calls with the same SQL that start at the same time share one statement.
+ */
+class StatementCache {
+  /**
+   * @param {sqlite3.Database} connection
+   * @param {Number} capacity the maximum number of statements
+   * @param {Object} stats `hits`, `misses` and `evictions`; shared by all caches of an instance
+   */
+  constructor (connection, capacity, stats) {
+    this.connection = connection
+    this.capacity = capacity
+    this.stats = stats
+    this.statements = new Map()
+  }
+
+  get size () {
+    return this.statements.size
+  }
+
+  /**
+   * Returns the prepared statement for the SQL and prepares it if it isn't cached
+   *
+   * @param {String} sql
+   * @returns {Promise<sqlite3.Statement>}
+   */
+  get (sql) {
+    let statement = this.statements.get(sql)
+    if (statement) {
+      this.stats.hits++
+      // the Map keeps the order of insertion, so the last used statement moves to the end
+      this.statements.delete(sql)
+      this.statements.set(sql, statement)
+      return statement
+    }
+    this.stats.misses++
+    statement = new Promise((resolve, reject) => {
+      const prepared = this.connection.prepare(sql, (err) => (err ? reject(err) : resolve(prepared)))
+    })
+    // failed statements are not cached
+    statement.catch(() => this.statements.get(sql) === statement && this.statements.delete(sql))
+    this.statements.set(sql, statement)
+    for (const [oldest, oldStatement] of this.statements) {
+      if (this.statements.size <= this.capacity) {
+        break
+      }
+      this.statements.delete(oldest)
+      this.stats.evictions++
+      finalize(oldStatement)
+    }
+    return statement
+  }
+
+  /**
+   * Finalizes all statements. Calls that use one of them at the moment finish before
+   */
+  clear () {
+    const statements = Array.from(this.statements.values())
+    this.statements.clear()
+    return Promise.all(statements.map(finalize))
+  }
+}
+
+function finalize (statement) {
+  // statements that couldn't be prepared have nothing to finalize
+  return statement.then((prepared) => new Promise((resolve) => prepared.finalize(() => resolve())), () => {})
+}
+
+/**
+ * Calls `run`, `all`, `get` or `each` with a cached statement of the connection or, if the connection has no cache,
+ * with the connection. Emits the events of the instance like callConnection. The statement can be prepared first, so
+ * on the connection of the instance it has to run inside of useConnection, which lets transactions wait for it.
+ *
+ * @param {DB} db the instance that emits the events
+ * @param {sqlite3.Database} connection
+ * @param {String} method 'run', 'all', 'get' or 'each'
+ * @param {String} sql
+ * @param {Array} params the bind parameters
+ * @param {Function} eachRow optional. The callback of `each` for every row
+ * @returns {any} the rows, the row, the result of run or the number of rows of each
+ */
+async function callStatement (db, connection, method, sql, params, eachRow) {
+  const cache = connection.statementCache
+  return trace(db, sql, params, method, async () => {
+    const statement = cache ? await cache.get(sql) : null
+    return new Promise((resolve, reject) => {
+      const args = [...params]
+      if (eachRow) {
+        args.push(eachRow)
+      }
+      args.push(function (err, result) {
+        err ? reject(err) : resolve(method === 'run' ? this : result)
+      })
+      if (!statement) {
+        connection[method](sql, ...args)
+        return
+      }
+      statement[method](...args)
+      // the next call starts at the first row again; sqlite3 runs the reset after the call above
+      statement.reset(() => {})
+    })
+  })
+}
+
+module.exports = {
+  StatementCache,
+  callStatement
+}
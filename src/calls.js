@@ -0,0 +1,79 @@
+/**
+ * Keeps the statements of other calls out of a transaction. A transaction takes the lock of the instance, so no call
+ * can start, and waits until the calls that started before are finished. Calls hold the lock only while they start,
+ * so they still run side by side.
+ */
+const { AsyncLocalStorage } = require('async_hooks')
+
+// the instances whose lock is held for the callback that runs in the current async context, f.e. of a transaction
+const lockHolders = new AsyncLocalStorage()
+
+/**
+ * Takes the lock of an instance. Inside of a callback that holds the lock of the instance it would wait forever,
+ * so it throws instead.
+ *
+ * @param {DB} db the instance or the instance of a transaction
+ */
+async function acquireLock (db) {
+  const holders = lockHolders.getStore()
+  if (holders && holders.includes(db)) {
+    throw new Error('DB() was called inside of its own transaction or migration and would wait for it forever; ' +
+      'use the instance that the callback gets')
+  }
+  await db.awaitLock.acquireAsync()
+}
+
+/**
+ * Runs a callback that holds the lock of the instance. Calls of the instance in the callback throw instead of waiting
+ *
+ * @param {DB} db the instance whose lock is held
+ * @param {Function} callback
+ * @returns {any} the result of the callback
+ */
+function runHoldingLock (db, callback) {
+  return lockHolders.run((lockHolders.getStore() || []).concat(db), callback)
+}
+
+/**
+ * Runs a callback as a call on the connection of an instance. It waits while a transaction of the instance runs.
+ *
+ * @param {DB} db the instance or the instance of a transaction
+ * @param {Function} callback async function that gets the connection and sends the statements
+ * @param {Function} open optional. Async function that returns the connection; it's called while the lock is held
+ * @returns {any} the result of the callback
+ */
+async function runCall (db, callback, open = async () => {}) {
+  await acquireLock(db)
+  let connection
+  try {
+    connection = await open()
+    db.runningCalls++
+  } finally {
+    db.awaitLock.release()
+  }
+  try {
+    return await callback(connection)
+  } finally {
+    db.runningCalls--
+    if (!db.runningCalls) {
+      db.callsFinished.splice(0).forEach((resolve) => resolve())
+    }
+  }
+}
+
+/**
+ * Resolves when the running calls of the instance are finished. Call it while holding the lock, so no new call starts
+ *
+ * @param {DB} db the instance or the instance of a transaction
+ * @returns {Promise}
+ */
+function waitForCalls (db) {
+  return db.runningCalls ? new Promise((resolve) => db.callsFinished.push(resolve)) : Promise.resolve()
+}
+
+module.exports = {
+  acquireLock,
+  runHoldingLock,
+  runCall,
+  waitForCalls
+}
@@ -0,0 +1,171 @@
+const path = require('path')
+const fs = require('fs')
+const DB = require('./database')
+
+const configFiles = ['sqlite3-helper.config.js', 'sqlite3-helper.config.json']
+
+const usage = `Usage: sqlite3-helper <command> [options]
+
+Commands:
+  migrate [--to <version>]  Migrates the database to the newest or the given version
+  rollback [<steps>]        Rolls back the last migration or the last <steps> migrations
+  status                    Lists applied, pending and orphaned migrations of an existing database
+  create <name>             Creates the next numbered migration-file <NNN>-<name>.sql
+  types [--out <file>]      Migrates the database and writes TypeScript types of its tables
+                            to the file or to stdout
+
+Options:
+  --config <file>           Config file that exports the DB options.
+                            Default: ./sqlite3-helper.config.js or ./sqlite3-helper.config.json
+  --path <file>             Path to the sqlite database file
+  --migrations-path <dir>   Path of the migration files
+  --table <name>            Name of the table that keeps track of the migrations
+  --help                    Shows this help
+`
+
+/**
+ * Runs the command line interface
+ *
+ * @param {Array} argv the arguments without node and the script, f.e. ['migrate', '--to', '3']
+ * @param {Object} io optional. `stdout` and `stderr` streams to write to
+ * @returns {Integer} exit code
+ */
+async function cli (argv, { stdout = process.stdout, stderr = process.stderr } = {}) {
+  let db
+  try {
+    const { command, args, flags } = parseArguments(argv)
+    if (flags.help) {
+      stdout.write(usage)
+      return 0
+    }
+    if (!command) {
+      stderr.write(usage)
+      return 1
+    }
+
+    const { migrate, ...options } = readConfig(flags.config)
+    const migrateOptions = typeof migrate === 'object' ? { ...migrate } : {}
+    if (flags.path) options.path = flags.path
+    if (flags['migrations-path']) migrateOptions.migrationsPath = flags['migrations-path']
+    if (flags.table) migrateOptions.table = flags.table
+
+    if (command === 'create') {
+      if (!args[0]) {
+        throw new Error('The name of the migration is missing for the create command')
+      }
+      const filename = createMigrationFile(migrateOptions.migrationsPath || './migrations', args[0])
+      stdout.write(`Created ${filename}\n`)
+      return 0
+    }
+
+    if (!['migrate', 'rollback', 'status', 'types'].includes(command)) {
+      throw new Error(`Unknown command "${command}"\n\n${usage}`)
+    }
+
+    // status only reads the database, it must not create an empty one at a mistyped path
+    db = new DB({ ...options, migrate: false, fileMustExist: options.fileMustExist || command === 'status' })
+    if (command === 'migrate') {
+      if (flags.to !== undefined) {
+        migrateOptions.to = Number(flags.to)
+      }
+      await db.migrate(migrateOptions)
+      const { applied } = await db.migrationStatus(migrateOptions)
+      stdout.write(`Database is at version ${applied.length ? applied[applied.length - 1].id : 0}\n`)
+    } else if (command === 'types') {
+      await db.migrate(migrateOptions)
+      const types = await db.generateTypes({ exclude: [migrateOptions.table || 'migrations'] })
+      if (flags.out) {
+        fs.writeFileSync(path.resolve(process.cwd(), flags.out), types)
+        stdout.write(`Created ${path.resolve(process.cwd(), flags.out)}\n`)
+      } else {
+        stdout.write(types)
+      }
+    } else if (command === 'rollback') {
+      const version = await db.rollback(args[0] === undefined ? 1 : Number(args[0]), migrateOptions)
+      stdout.write(`Database is at version ${version}\n`)
+    } else {
+      const status = await db.migrationStatus(migrateOptions)
+      const lines = []
+      for (const state of ['applied', 'pending', 'orphaned']) {
+        for (const migration of status[state]) {
+          lines.push({ ...migration, state })
+        }
+      }
+      lines.sort((a, b) => Math.sign(a.id - b.id))
+      stdout.write(lines.length
+        ? lines.map(({ id, name, type, state }) => `${state.padEnd(8)} ${String(id).padStart(3, '0')}-${name}.${type}\n`).join('')
+        : 'No migrations found\n')
+    }
+    return 0
+  } catch (e) {
+    stderr.write(`${e.message}\n`)
+    return 1
+  } finally {
+    db && await db.close()
+  }
+}
+
+/**
+ * Splits the arguments into the command, the positional arguments and the flags.
+ * Flags can be written as `--name value` or `--name=value`.
+ */
+function parseArguments (argv) {
+  const args = []
+  const flags = {}
+  for (let i = 0; i < argv.length; i++) {
+    const match = argv[i].match(/^--([^=]+)(?:=(.*))?$/)
+    if (!match) {
+      args.push(argv[i])
+    } else if (match[2] !== undefined) {
+      flags[match[1]] = match[2]
+    } else if (match[1] === 'help') {
+      flags.help = true
+    } else if (i + 1 < argv.length) {
+      flags[match[1]] = argv[++i]
+    } else {
+      throw new Error(`The value of --${match[1]} is missing`)
+    }
+  }
+  return { command: args[0], args: args.slice(1), flags }
+}
+
+/**
+ * Reads the DB options from the given config file or from one of the default config files if it exists.
+ */
+function readConfig (configFile) {
+  if (!configFile) {
+    configFile = configFiles.find((filename) => fs.existsSync(path.resolve(process.cwd(), filename)))
+    if (!configFile) {
+      return {}
+    }
+  }
+  const filename = path.resolve(process.cwd(), configFile)
+  if (!fs.existsSync(filename)) {
+    throw new Error(`Config file doesn't exist: ${filename}`)
+  }
+  return require(filename)
+}
+
+/**
+ * Creates the next numbered migration-file with an Up- and a Down-section
+ *
+ * @returns {String} path of the new file
+ */
+function createMigrationFile (migrationsPath, name) {
+  const location = path.resolve(process.cwd(), migrationsPath)
+  fs.mkdirSync(location, { recursive: true })
+  const lastId = fs
+    .readdirSync(location)
+    .map((x) => x.match(/^(\d+).(.*?)\.(sql|js)$/))
+    .filter((x) => x !== null)
+    .reduce((lastId, x) => Math.max(lastId, Number(x[1])), 0)
+  const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '')
+  if (!slug) {
+    throw new Error(`The name "${name}" can not be used for a migration`)
+  }
+  const filename = path.join(location, `${String(lastId + 1).padStart(3, '0')}-${slug}.sql`)
+  fs.writeFileSync(filename, '-- Up\n\n\n-- Down\n\n', { flag: 'wx' })
+  return filename
+}
+
+module.exports = cli
@@ -0,0 +1,150 @@
+/**
+ * Codecs convert the values of columns between JavaScript and SQLite. They are registered per table with the option `codecs`:
+ *   { Setting: { value: 'json', enabled: 'boolean', createdAt: 'date' } }
+ * A codec is the name of a built-in codec or an object with the functions `encode` and `decode`.
+ * null and undefined are neither encoded nor decoded.
+ */
+const builtInCodecs = {
+  json: {
+    encode: (value) => JSON.stringify(value),
+    // numbers and booleans can come back as numbers because of the type affinity of the column
+    decode: (value) => (typeof value === 'string' ? JSON.parse(value) : value)
+  },
+  boolean: {
+    encode: (value) => (value ? 1 : 0),
+    decode: (value) => !!value
+  },
+  date: {
+    // ISO 8601 strings can be sorted and are understood by the date functions of SQLite
+    encode: (value) => {
+      const date = value instanceof Date ? value : new Date(value)
+      if (isNaN(date.getTime())) {
+        throw new Error(`Invalid date "${value}" for the date codec of DB()`)
+      }
+      return date.toISOString()
+    },
+    decode: (value) => new Date(value)
+  },
+  buffer: {
+    encode: (value) => (Buffer.isBuffer(value) ? value : Buffer.from(value)),
+    decode: (value) => (Buffer.isBuffer(value) ? value : Buffer.from(String(value)))
+  }
+}
+
+/**
+ * Resolves the option `codecs`
+ *
+ * @param {Object} options the codecs by table and column
+ * @returns {Object} `tables`: a Map of the codecs by column for every table.
+ *   `columns`: a Map of the codecs by column for queries without a table.
+ *   `ambiguous`: a Map of the tables by column for the columns with different codecs in different tables
+ */
+function createCodecs (options) {
+  const tables = new Map()
+  // the codecs of every table by column
+  const candidates = new Map()
+  for (const table of Object.keys(options || {})) {
+    const tableCodecs = new Map()
+    for (const column of Object.keys(options[table])) {
+      const codec = resolveCodec(options[table][column], `${table}.${column}`)
+      tableCodecs.set(column, codec)
+      candidates.set(column, (candidates.get(column) || []).concat({ table, codec }))
+    }
+    tables.set(table, tableCodecs)
+  }
+  const columns = new Map()
+  const ambiguous = new Map()
+  candidates.forEach((entries, column) => {
+    if (entries.every(({ codec }) => codec === entries[0].codec)) {
+      columns.set(column, entries[0].codec)
+    } else {
+      ambiguous.set(column, entries.map(({ table }) => table))
+    }
+  })
+  return { tables, columns, ambiguous }
+}
+
+function resolveCodec (codec, name) {
+  if (typeof codec === 'string') {
+    if (!Object.prototype.hasOwnProperty.call(builtInCodecs, codec)) {
+      throw new Error(`Unknown codec "${codec}" for ${name} in the options of DB()`)
+    }
+    return builtInCodecs[codec]
+  }
+  if (!codec || typeof codec.encode !== 'function' || typeof codec.decode !== 'function') {
+    throw new Error(`The codec for ${name} has to be the name of a built-in codec or an object with the functions encode and decode`)
+  }
+  return codec
+}
+
+/**
+ * Returns a copy of the row with the encoded values. The row of the caller is not changed
+ *
+ * @param {Map|undefined} codecs the codecs by column
+ * @param {Object} row
+ * @returns {Object}
+ */
+function encodeRow (codecs, row) {
+  if (!codecs || !codecs.size || !row || typeof row !== 'object') {
+    return row
+  }
+  const result = {}
+  for (const column of Object.keys(row)) {
+    result[column] = encodeValue(codecs, column, row[column])
+  }
+  return result
+}
+
+function encodeValue (codecs, column, value) {
+  const codec = codecs && codecs.get(column)
+  return codec && value !== null && value !== undefined ? codec.encode(value) : value
+}
+
+/**
+ * Decodes the values of a row from SQLite
+ *
+ * @param {Map|undefined} codecs the codecs by column
+ * @param {Object|undefined} row is changed
+ * @returns {Object|undefined} the row
+ */
+function decodeRow (codecs, row) {
+  if (!codecs || !codecs.size || !row) {
+    return row
+  }
+  for (const column of Object.keys(row)) {
+    const codec = codecs.get(column)
+    if (codec && row[column] !== null && row[column] !== undefined) {
+      row[column] = codec.decode(row[column])
+    }
+  }
+  return row
+}
+
+/**
+ * Decodes the values of a row of a query without a table by the names of the columns. A column with different codecs
+ * in different tables can not be decoded by its name, so it throws instead of returning the stored value
+ *
+ * @param {Object} codecs the result of createCodecs
+ * @param {Object|undefined} row is changed
+ * @returns {Object|undefined} the row
+ */
+function decodeQueryRow (codecs, row) {
+  if (codecs.ambiguous.size && row) {
+    const column = Object.keys(row).find((column) => codecs.ambiguous.has(column))
+    if (column) {
+      const tables = codecs.ambiguous.get(column).map((table) => `"${table}"`).join(', ')
+      throw new Error(`The column "${column}" has different codecs in the tables ${tables} of DB(); ` +
+        'read it by select() or rename it in the query')
+    }
+  }
+  return decodeRow(codecs.columns, row)
+}
+
+module.exports = {
+  builtInCodecs,
+  createCodecs,
+  encodeRow,
+  encodeValue,
+  decodeRow,
+  decodeQueryRow
+}
@@ -1,25 +1,85 @@
 const sqlite3 = require('sqlite3')
 const path = require('path')
 const fs = require('fs')
+const crypto = require('crypto')
+const Module = require('module')
 const mkdirp = require('mkdirp')
 const AwaitLock = require('await-lock').default
 const Statement = require('./statement')
+const createWhere = require('./where')
+const introspection = require('./introspection')
+const generateTypes = require('./typegen')
+const { createCodecs, encodeRow, encodeValue, decodeRow, decodeQueryRow } = require('./codecs')
+const { quoteIdentifier, quoteTable } = require('./identifier')
+const ReadPool = require('./pool')
+const { trace, callConnection } = require('./trace')
+const { createRetryPolicy, withRetry } = require('./retry')
+const { copyPages, checksumFile } = require('./backup')
+const { CsvParser, NdjsonParser, consumeStream } = require('./import')
+const { sql: sqlTag, resolveQuery } = require('./sql')
+const { StatementCache, callStatement } = require('./cache')
+const { acquireLock, runHoldingLock, runCall, waitForCalls } = require('./calls')
+const EventEmitter = require('events')
+const util = require('util')
 
 const dbFile = path.resolve(process.cwd(), './data/sqlite3.db')
+const transactionModes = ['DEFERRED', 'IMMEDIATE', 'EXCLUSIVE']
+// statements that change the schema
+const ddlPattern = /^\s*(CREATE|DROP|ALTER)\b/i
+const checksumMismatchModes = ['throw', 'warn', 'reapply']
+// the statements of the onConflict option of importCsv and importNdjson; 'upsert' has its own statement
+const importConflictModes = {
+  ignore: 'INSERT OR IGNORE',
+  replace: 'REPLACE',
+  upsert: 'INSERT'
+}
+// the names of the rowid of a table that has no columns with these names
+const rowidNames = ['rowid', 'oid', '_rowid_']
+// columns that were added to the migrations table after its first version
+const migrationTableUpgrades = {
+  type: "TEXT NOT NULL DEFAULT 'sql'",
+  checksum: 'TEXT'
+}
 
-let instance = null
+// instances that were created by calling DB() without new, by name
+const instances = new Map()
+const defaultName = 'default'
 
 /**
  * Class to control database-connections
  *
+ * Called without `new` it returns a shared instance: `DB(options)` creates the default instance with the first call,
+ * `DB(name, options)` creates the instance with this name. Later calls return the existing instance; `DB(name)` throws
+ * if there is no instance with this name.
+ *
  * @returns {DB}
  * @constructor
  */
 function DB (options = {}) {
   if (!(this instanceof DB)) {
-    instance = instance || new DB(...arguments)
-    return instance
+    if (typeof options !== 'string') {
+      // the options of later calls are ignored, like they always were
+      if (!instances.has(defaultName)) {
+        instances.set(defaultName, new DB(options))
+      }
+      return instances.get(defaultName)
+    }
+    const name = options
+    const namedOptions = arguments[1]
+    if (instances.has(name)) {
+      if (namedOptions) {
+        throw new Error(`The instance "${name}" of DB() is already created; call DB("${name}") without options to get it`)
+      }
+      return instances.get(name)
+    }
+    if (!namedOptions) {
+      // a typo or a call after closeAll() must not open the default database file
+      throw new Error(`There is no instance "${name}" of DB(); create it with DB("${name}", options) first`)
+    }
+    instances.set(name, new DB(namedOptions))
+    return instances.get(name)
   }
+  EventEmitter.call(this)
   this.options = Object.assign(
     {
       path: dbFile,
@@ -27,82 +87,560 @@ function DB (options = {}) {
       WAL: true,
       fileMustExist: false,
       readOnly: false,
-      memory: false
+      memory: false,
+      maxVariables: 999,
+      pool: false,
+      statementCache: false
     },
     options
   )
   this.awaitLock = new AwaitLock()
+  // calls that use the connection at the moment; transactions wait until they are finished
+  this.runningCalls = 0
+  this.callsFinished = []
+  this.schemaCache = new Map()
+  this.codecs = createCodecs(this.options.codecs)
+  // databases that are attached to every new connection, by alias
+  this.attached = new Map(Object.entries(this.options.attach || {}))
+  // extensions and hooks for every new connection
+  this.extensions = (this.options.extensions || []).slice()
+  this.connectHooks = this.options.onConnect ? [].concat(this.options.onConnect) : []
+  this.retryPolicy = createRetryPolicy(this.options.retry)
+  // the caches of prepared statements of all open connections
+  this.statementCacheCapacity = this.options.statementCache === true ? 100 : this.options.statementCache || 0
+  if (!Number.isInteger(this.statementCacheCapacity) || this.statementCacheCapacity < 0) {
+    throw new Error('The statementCache of DB() has to be true or a positive integer')
+  }
+  this.statementCaches = new Set()
+  this.statementCacheCounters = { hits: 0, misses: 0, evictions: 0 }
+  this.readPool = null
+  if (this.options.pool) {
+    if (this.options.memory || !this.options.WAL) {
+      throw new Error('The pool of DB() needs a database file with WAL')
+    }
+    this.readPool = new ReadPool(
+      () => openReader(this),
+      this.options.pool === true ? {} : this.options.pool,
+      (reader) => closeStatementCache(this, reader).then(() => reader.close(() => {}))
+    )
+  }
+}
+
+// emits `query` and `slowQuery`
+util.inherits(DB, EventEmitter)
+
+// tag for parameterized SQL, f.e. DB().query(DB.sql`SELECT * FROM users WHERE id IN ${ids}`)
+DB.sql = sqlTag
+
+/**
+ * Returns an instance that was created by calling DB() without new
+ *
+ * @param {String} name optional. Default: the instance of DB() without a name
+ * @returns {DB}
+ */
+DB.get = function (name = defaultName) {
+  if (!instances.has(name)) {
+    throw new Error(`There is no instance "${name}" of DB()`)
+  }
+  return instances.get(name)
+}
+
+/**
+ * Closes all instances that were created by calling DB() without new, f.e. for a graceful shutdown.
+ * Instances created with `new DB()` have to be closed by themselves.
+ */
+DB.closeAll = async function () {
+  await Promise.all(Array.from(instances.values()).map((instance) => instance.close()))
+}
+
+/**
+ * Restores an instance that was created by calling DB() without new from a backup, see `restore` of the instance
+ *
+ * @param {String} file path of the backup
+ * @param {Object} options optional. `name`: the name of the instance. Default: the instance of DB() without a name.
+ *   The other options are the same as for `restore` of the instance
+ */
+DB.restore = async function (file, options = {}) {
+  return DB.get(options.name).restore(file, options)
 }
 
 DB.prototype.connection = async function () {
-  await this.awaitLock.acquireAsync()
-  if (this.db) {
+  await acquireLock(this)
+  try {
+    return await openConnection(this)
+  } finally {
     this.awaitLock.release()
-    return this.db
+  }
+}
+
+/**
+ * Returns the connection of the instance or of the transaction and opens it, if it isn't open. Call it while holding the lock
+ */
+async function openConnection (db) {
+  if (db.transactionConnection) {
+    return db.transactionConnection
+  }
+  if (db.db) {
+    return db.db
   }
   try {
-    if (!this.options.memory) {
-      if (this.options.fileMustExist && !fs.existsSync(this.options.path)) {
-        throw new Error("DB file doesn't exist: " + path.resolve(this.options.path))
+    if (!db.options.memory) {
+      if (db.options.fileMustExist && !fs.existsSync(db.options.path)) {
+        throw new Error("DB file doesn't exist: " + path.resolve(db.options.path))
       }
       // create path if it doesn't exists
-      mkdirp.sync(path.dirname(this.options.path))
+      mkdirp.sync(path.dirname(db.options.path))
     }
-    this.db = await new Promise((resolve, reject) => {
-      const db = new sqlite3.Database(
-        this.options.memory ? ':memory:' : this.options.path,
-        this.options.readOnly || this.options.readonly
+    db.schemaCache.clear()
+    db.db = await new Promise((resolve, reject) => {
+      const connection = new sqlite3.Database(
+        db.options.memory ? ':memory:' : db.options.path,
+        db.options.readOnly || db.options.readonly
           ? sqlite3.OPEN_READONLY
           : sqlite3.OPEN_READWRITE | sqlite3.OPEN_CREATE,
-        (err) => (err ? reject(err) : resolve(db))
+        (err) => (err ? reject(err) : resolve(connection))
       )
     })
 
-    if (this.options.WAL) {
-      await new Promise((resolve, reject) =>
-        this.db.exec('PRAGMA journal_mode = WAL', (err) => (err ? reject(err) : resolve()))
-      )
+    if (db.options.WAL) {
+      await callConnection(db, db.db, 'exec', 'PRAGMA journal_mode = WAL')
     }
-    if (this.options.migrate) {
-      await this.migrate(typeof this.options.migrate === 'object' ? this.options.migrate : {})
+    await setupConnection(db, db.db, false)
+    if (db.options.migrate) {
+      await runMigrations(db, typeof db.options.migrate === 'object' ? db.options.migrate : {})
     }
+    addStatementCache(db, db.db)
 
-    return this.db
+    return db.db
   } catch (e) {
-    this.db = undefined
+    db.db = undefined
     throw e
+  }
+}
+
+/**
+ * Runs a callback with the connection of the instance. A transaction that starts in the meantime waits until the
+ * callback is finished, so the statements of the callback can't end up inside of it.
+ */
+function useConnection (db, callback) {
+  return runCall(db, callback, () => openConnection(db))
+}
+
+/**
+ * Runs a callback with the connection of the instance while no other call runs, like a transaction. Other calls wait
+ * until the callback is finished.
+ */
+async function useConnectionExclusively (db, callback) {
+  await acquireLock(db)
+  try {
+    const connection = await openConnection(db)
+    await waitForCalls(db)
+    return await runHoldingLock(db, () => callback(connection))
+  } finally {
+    db.awaitLock.release()
+  }
+}
+
+/**
+ * Attaches another database file. Its tables can be used with the alias as schema, f.e. `SELECT * FROM archive.Setting`
+ * or `DB().select('archive.Setting')`. The database is attached again to every new connection.
+ *
+ * @param {String} alias the schema name of the database
+ * @param {String} file path of the database file
+ */
+DB.prototype.attach = async function (alias, file) {
+  if (!alias || typeof alias !== 'string') {
+    throw new Error('Alias is missing for the attach command of DB()')
+  }
+  if (!file || typeof file !== 'string') {
+    throw new Error('File is missing for the attach command of DB()')
+  }
+  await acquireLock(this)
+  try {
+    if (this.attached.has(alias)) {
+      throw new Error(`The alias "${alias}" is already attached for the attach command of DB()`)
+    }
+    // without a connection the database is attached when the connection is opened
+    if (this.db) {
+      await attachDatabase(this, this.db, this.options, alias, file)
+      schemaChanged(this)
+    }
+    this.attached.set(alias, file)
+    if (this.readPool) {
+      // the readers are opened again with the new database
+      this.readPool.reset()
+    }
   } finally {
     this.awaitLock.release()
   }
 }
 
-DB.prototype.prepare = async function (sql, ...params) {
-  const db = await this.connection()
-  return new Promise((resolve, reject) => {
-    const orgStatement = db.prepare(sql, ...params, (err) => {
-      err ? reject(err) : resolve(new Statement(orgStatement))
-    })
-  })
+/**
+ * Detaches a database that was attached with the option `attach` or the attach function
+ *
+ * @param {String} alias the schema name of the database
+ */
+DB.prototype.detach = async function (alias) {
+  await acquireLock(this)
+  try {
+    if (!this.attached.has(alias)) {
+      throw new Error(`The alias "${alias}" is not attached for the detach command of DB()`)
+    }
+    if (this.db) {
+      await callConnection(this, this.db, 'run', `DETACH DATABASE ${quoteIdentifier(alias)}`)
+      schemaChanged(this)
+    }
+    this.attached.delete(alias)
+    if (this.readPool) {
+      this.readPool.reset()
+    }
+  } finally {
+    this.awaitLock.release()
+  }
+}
+
+/**
+ * Runs a PRAGMA statement and returns the result. Without a value the pragma is only read.
+ * @see https://www.sqlite.org/pragma.html
+ *
+ * @example await DB().pragma('foreign_keys', true); await DB().pragma('journal_mode') // 'wal'
+ * @param {String} name Name of the pragma. Can be qualified with the schema, f.e. 'archive.journal_mode'
+ * @param {any} value optional. The value to set or the argument of the pragma, f.e. the table for table_info.
+ *   Booleans become ON and OFF
+ * @returns {any} One value if the result has one row and one column, an array of the values if all rows have one column,
+ *   an array of the rows otherwise and undefined for no rows
+ */
+DB.prototype.pragma = async function (name, value) {
+  const rows = await useConnection(this, (connection) => runPragma(this, connection, name, value))
+  if (!rows.length) {
+    return undefined
+  }
+  if (rows.every((row) => Object.keys(row).length === 1)) {
+    const values = rows.map((row) => row[Object.keys(row)[0]])
+    return values.length === 1 ? values[0] : values
+  }
+  return rows
+}
+
+async function applyPragmas (db, connection, pragmas) {
+  for (const name of Object.keys(pragmas || {})) {
+    await runPragma(db, connection, name, pragmas[name])
+  }
+}
+
+async function runPragma (db, connection, name, value) {
+  const all = (sql) => callConnection(db, connection, 'all', sql)
+  const match = /^(?:([A-Za-z_][A-Za-z0-9_]*)\.)?([A-Za-z_][A-Za-z0-9_]*)$/.exec(String(name))
+  if (!match) {
+    throw new Error(`Invalid pragma "${name}" for DB()`)
+  }
+  // SQLite ignores unknown pragmas; the list is empty if SQLite is compiled without it
+  const known = (await all('PRAGMA pragma_list')).map((row) => row.name)
+  if (known.length && !known.includes(match[2].toLowerCase())) {
+    throw new Error(`Unknown pragma "${name}" for DB()`)
+  }
+
+  let sql = `PRAGMA ${match[1] ? match[1] + '.' : ''}${match[2]}`
+  if (value !== undefined) {
+    sql += ` = ${formatPragmaValue(name, value)}`
+  }
+  try {
+    return await all(sql)
+  } catch (e) {
+    throw new Error(`${sql} failed for DB(): ${e.message}`, { cause: e })
+  }
+}
+
+function formatPragmaValue (name, value) {
+  if (typeof value === 'boolean') {
+    return value ? 'ON' : 'OFF'
+  }
+  if (typeof value === 'number') {
+    if (!Number.isFinite(value)) {
+      throw new Error(`Invalid value ${value} for the pragma "${name}" of DB()`)
+    }
+    return String(value)
+  }
+  // keywords like NORMAL or MEMORY stay as they are, everything else is a string
+  const text = String(value)
+  return /^-?[A-Za-z0-9_]+$/.test(text) ? text : `'${text.replace(/'/g, "''")}'`
+}
+
+async function attachDatabase (db, connection, options, alias, file) {
+  const inMemory = file === ':memory:'
+  const filename = inMemory ? file : path.resolve(process.cwd(), file)
+  if (!inMemory) {
+    if (options.fileMustExist && !fs.existsSync(filename)) {
+      throw new Error("DB file doesn't exist: " + filename)
+    }
+    mkdirp.sync(path.dirname(filename))
+  }
+  await callConnection(db, connection, 'run', `ATTACH DATABASE ? AS ${quoteIdentifier(alias)}`, [filename])
+  if (options.WAL && !inMemory) {
+    await callConnection(db, connection, 'exec', `PRAGMA ${quoteIdentifier(alias)}.journal_mode = WAL`)
+  }
+}
+
+DB.prototype.prepare = async function (query, ...params) {
+  const [sql, bindParameters] = resolveQuery(query, params)
+  return Statement.prepare(this, await this.connection(), sql, ...bindParameters)
+}
+
+DB.prototype.exec = async function (query) {
+  const [source, bindParameters] = resolveQuery(query)
+  if (bindParameters.length) {
+    throw new Error('Parameters can not be used for the exec command of DB()')
+  }
+  try {
+    return await useConnection(this, (db) => trace(this, source, [], 'exec', () => new Promise((resolve, reject) =>
+      db.exec(source, function (err) {
+        err ? reject(err) : resolve(this)
+      })
+    )))
+  } finally {
+    // the statements can change the schema
+    schemaChanged(this)
+  }
+}
+
+/**
+ * Runs a callback inside a transaction. The transaction is committed when the callback resolves and rolled back when it throws.
+ * It starts after the calls that are already running. While it runs, all other calls to this instance and its prepared statements
+ * wait until it is finished; use only the `tx` argument inside the callback. Calls of the instance itself inside the
+ * callback would wait forever, so they throw an error.
+ * Calling `tx.transaction()` inside the callback creates a nested transaction with a SAVEPOINT.
+ *
+ * @example await DB().transaction(async (tx) => { await tx.insert('users', user); await tx.update('stats', data, 1) })
+ * @param {Function} callback async function that gets the transaction-scoped instance as parameter
+ * @param {Object} options optional. `mode` can be 'DEFERRED' (default), 'IMMEDIATE' or 'EXCLUSIVE'. Ignored for nested transactions.
+ * @returns {any} The result of the callback
+ */
+DB.prototype.transaction = async function (callback, { mode = 'DEFERRED' } = {}) {
+  if (typeof callback !== 'function') {
+    throw new Error('Callback is missing for the transaction command of DB()')
+  }
+  mode = String(mode).toUpperCase()
+  if (!transactionModes.includes(mode)) {
+    throw new Error(`Unknown mode "${mode}" for the transaction command of DB()`)
+  }
+  const depth = (this.transactionDepth || 0) + 1
+  const savepoint = `sqlite3_helper_${depth}`
+
+  await acquireLock(this)
+  try {
+    const db = await openConnection(this)
+    const exec = (query) => callConnection(this, db, 'exec', query)
+    // the lock keeps new calls out; calls that started before have to finish, so they don't end up inside of this transaction
+    await waitForCalls(this)
+    // only BEGIN and COMMIT are tried again on SQLITE_BUSY; a failed COMMIT leaves the transaction open
+    await withRetry(this, () => exec(depth === 1 ? `BEGIN ${mode}` : `SAVEPOINT ${savepoint}`))
+    const scope = createTransactionScope(this, db, depth)
+    try {
+      const result = await runHoldingLock(this, () => callback(scope))
+      // calls of the callback that weren't awaited still belong to the transaction
+      await waitForCalls(scope)
+      await withRetry(this, () => exec(depth === 1 ? 'COMMIT' : `RELEASE ${savepoint}`))
+      return result
+    } catch (err) {
+      await waitForCalls(scope)
+      // a failing rollback must not hide the original error
+      await exec(depth === 1 ? 'ROLLBACK' : `ROLLBACK TO ${savepoint}; RELEASE ${savepoint}`).catch(() => {})
+      throw err
+    }
+  } finally {
+    this.awaitLock.release()
+  }
+}
+
+/**
+ * Creates an instance that works inside of a transaction. It uses the connection of the transaction directly
+ * and has its own lock, so nested transactions only block the calls of their parent.
+ */
+function createTransactionScope (parent, db, depth) {
+  const scope = Object.create(parent)
+  scope.awaitLock = new AwaitLock()
+  scope.runningCalls = 0
+  scope.callsFinished = []
+  scope.transactionDepth = depth
+  scope.transactionConnection = db
+  // reads inside of the transaction have to see its changes
+  scope.readPool = null
+  return scope
+}
+
+/**
+ * Returns the names of all tables without the internal sqlite_* tables. The schema is cached until it's changed by exec or migrate.
+ *
+ * @param {String} schema optional. Name of an attached database. Default: the main database
+ * @returns {Array}
+ */
+DB.prototype.tables = async function (schema) {
+  return introspection.tables(this, schema)
+}
+
+/**
+ * Returns the names of all views. The schema is cached until it's changed by exec or migrate.
+ *
+ * @param {String} schema optional. Name of an attached database. Default: the main database
+ * @returns {Array}
+ */
+DB.prototype.views = async function (schema) {
+  return introspection.views(this, schema)
+}
+
+/**
+ * Returns the columns of a table. The schema is cached until it's changed by exec or migrate.
+ *
+ * @example [{ name: 'id', type: 'INTEGER', notNull: false, defaultValue: null, primaryKey: 1 }]
+ * @param {String} table Name of the table
+ * @returns {Array} `primaryKey` is the position of the column in the primary key or 0. `defaultValue` is the SQL-text of the default
+ */
+DB.prototype.columns = async function (table) {
+  return introspection.columns(this, table)
+}
+
+/**
+ * Returns the indexes of a table. The schema is cached until it's changed by exec or migrate.
+ *
+ * @example [{ name: 'Setting_index_key', unique: false, origin: 'c', partial: false, columns: ['key'] }]
+ * @param {String} table Name of the table
+ * @returns {Array} `origin` is 'c' for CREATE INDEX, 'u' for UNIQUE constraints and 'pk' for PRIMARY KEY constraints
+ */
+DB.prototype.indexes = async function (table) {
+  return introspection.indexes(this, table)
+}
+
+/**
+ * Returns the foreign keys of a table. The schema is cached until it's changed by exec or migrate.
+ *
+ * @example [{ id: 0, table: 'Category', from: ['categoryId'], to: ['id'], onUpdate: 'CASCADE', onDelete: 'CASCADE', match: 'NONE' }]
+ * @param {String} table Name of the table
+ * @returns {Array}
+ */
+DB.prototype.foreignKeys = async function (table) {
+  return introspection.foreignKeys(this, table)
+}
+
+/**
+ * Creates the content of a TypeScript declaration file with one interface per table, a map of the table names
+ * to these interfaces and a type of this instance with CRUD-functions that are typed by the name of the table.
+ *
+ * @param {Object} options optional. `moduleName` to import the types of the library from (default: 'sqlite3-helper')
+ *   and `exclude` with the names of tables that are left out (default: the migrations table)
+ * @returns {String}
+ */
+DB.prototype.generateTypes = async function (options = {}) {
+  return generateTypes(this, options)
+}
+
+/**
+ * Loads a compiled SQLite extension, f.e. for full text search or math functions. The extension is loaded again
+ * to every new connection. Without a connection it's loaded when the connection is opened.
+ * @see https://www.sqlite.org/loadext.html
+ *
+ * @param {String} file path of the extension
+ */
+DB.prototype.loadExtension = async function (file) {
+  if (!file || typeof file !== 'string') {
+    throw new Error('File is missing for the loadExtension command of DB()')
+  }
+  await acquireLock(this)
+  try {
+    if (this.db) {
+      await loadExtension(this.db, file)
+    }
+    if (!this.extensions.includes(file)) {
+      this.extensions.push(file)
+    }
+    if (this.readPool) {
+      this.readPool.reset()
+    }
+  } finally {
+    this.awaitLock.release()
+  }
+}
+
+/**
+ * Adds a function that is called with every new connection of sqlite3, f.e. to configure it or to create temporary
+ * tables and views. It's called after the extensions, attached databases and pragmas, before the migrations.
+ * The readers of the pool call it with `{ reader: true }`. If the connection is open, the function is called right away.
+ *
+ * @param {Function} hook async function that gets the connection of sqlite3 and `{ reader }`
+ */
+DB.prototype.onConnect = async function (hook) {
+  if (typeof hook !== 'function') {
+    throw new Error('Function is missing for the onConnect command of DB()')
+  }
+  await acquireLock(this)
+  try {
+    if (this.db) {
+      await hook(this.db, { reader: false })
+    }
+    this.connectHooks.push(hook)
+    if (this.readPool) {
+      this.readPool.reset()
+    }
+  } finally {
+    this.awaitLock.release()
+  }
+}
+
+/**
+ * Loads the extensions, attaches the databases, sets the pragmas and calls the hooks of the instance for a new connection
+ */
+async function setupConnection (db, connection, reader) {
+  for (const file of db.extensions) {
+    await loadExtension(connection, file)
+  }
+  for (const [alias, file] of db.attached) {
+    await attachDatabase(db, connection, reader ? { ...db.options, WAL: false } : db.options, alias, file)
+  }
+  await applyPragmas(db, connection, db.options.pragmas)
+  for (const hook of db.connectHooks) {
+    await hook(connection, { reader })
+  }
 }
 
-DB.prototype.exec = async function (source) {
-  const db = await this.connection()
+function loadExtension (connection, file) {
   return new Promise((resolve, reject) =>
-    db.exec(source, function (err) {
-      err ? reject(err) : resolve(this)
-    })
+    connection.loadExtension(file, (err) => (err ? reject(err) : resolve()))
   )
 }
 
-DB.prototype.loadExtension = function (...args) {
-  return this.connection().loadExtension(...args)
+DB.prototype.close = async function () {
+  for (const [name, instance] of instances) {
+    if (instance === this) {
+      instances.delete(name)
+    }
+  }
+  return closeConnection(this)
 }
 
-DB.prototype.close = async function () {
-  if (this.db) {
-    const databaseToClose = this.db
-    this.db = undefined
-    if (this === instance) instance = null
+/**
+ * Returns the counters of the cache of prepared statements, see the option `statementCache`
+ *
+ * @returns {Object} `size`: the number of cached statements of all connections, `hits`, `misses` and `evictions`
+ */
+DB.prototype.statementCacheStats = function () {
+  let size = 0
+  this.statementCaches.forEach((cache) => {
+    size += cache.size
+  })
+  return Object.assign({ size }, this.statementCacheCounters)
+}
+
+/**
+ * Closes the readers and the connection. The next call opens them again
+ */
+async function closeConnection (db) {
+  if (db.readPool) {
+    await db.readPool.close()
+  }
+  if (db.db) {
+    const databaseToClose = db.db
+    db.db = undefined
+    db.schemaCache.clear()
+    await closeStatementCache(db, databaseToClose)
     return new Promise((resolve, reject) => {
       function tryToClose (tries) {
         databaseToClose.close((err) => {
@@ -122,8 +660,102 @@ DB.prototype.close = async function () {
   }
 }
 
-DB.prototype.defaultSafeIntegers = function (toggleState) {
-  return this.connection().defaultSafeIntegers(toggleState)
+/**
+ * Writes a consistent copy of the database into a file while the database stays in use. It uses the backup API of SQLite
+ * or `VACUUM INTO` if sqlite3 doesn't offer it. An existing file is overwritten.
+ *
+ * @example const { checksum } = await DB().backup('./backups/app.db', { progress: ({ totalPages, remainingPages }) => {} })
+ * @param {String} file path of the copy
+ * @param {Object} options optional. `progress`: function that gets `{ totalPages, remainingPages }` after every step.
+ *   `pagesPerStep`: number of pages that are copied at once. Default: 100
+ * @returns {Object} `path`: the absolute path of the copy, `size`: its size in bytes, `checksum`: its SHA-256 as hex string
+ */
+DB.prototype.backup = async function (file, { progress, pagesPerStep = 100 } = {}) {
+  if (!file) {
+    throw new Error('File is missing for the backup command of DB()')
+  }
+  checkPagesPerStep(pagesPerStep, 'backup')
+  const target = path.resolve(process.cwd(), file)
+  if (!this.options.memory && target === path.resolve(process.cwd(), this.options.path)) {
+    throw new Error('The backup command of DB() can not overwrite the database itself')
+  }
+  mkdirp.sync(path.dirname(target))
+  const connection = await this.connection()
+  if (typeof connection.backup === 'function') {
+    await copyPages(connection, target, true, { progress, pagesPerStep })
+  } else {
+    // VACUUM INTO doesn't overwrite files
+    if (fs.existsSync(target)) {
+      fs.unlinkSync(target)
+    }
+    await callConnection(this, connection, 'run', 'VACUUM INTO ?', [target])
+    if (progress) {
+      const pages = fs.statSync(target).size / (await callConnection(this, connection, 'get', 'PRAGMA page_size')).page_size
+      progress({ totalPages: pages, remainingPages: 0 })
+    }
+  }
+  return { path: target, size: fs.statSync(target).size, checksum: await checksumFile(target) }
+}
+
+/**
+ * Replaces the database with a backup. The backup is read with the backup API of SQLite into the open connection,
+ * so other connections and processes see either the old or the new database and never a half copied file.
+ * After that the connections are opened again: the migrations run and the readers of the pool see the new schema.
+ *
+ * @param {String} file path of the backup
+ * @param {Object} options optional. `checksum`: the SHA-256 that `backup` returned; the backup is checked before anything is changed.
+ *   `progress` and `pagesPerStep`: the same as for backup
+ */
+DB.prototype.restore = async function (file, { checksum, progress, pagesPerStep = 100 } = {}) {
+  if (!file) {
+    throw new Error('File is missing for the restore command of DB()')
+  }
+  if (this.transactionDepth) {
+    throw new Error('The restore command of DB() can not be used inside of a transaction')
+  }
+  checkPagesPerStep(pagesPerStep, 'restore')
+  const source = path.resolve(process.cwd(), file)
+  if (!fs.existsSync(source)) {
+    throw new Error("Backup file doesn't exist: " + source)
+  }
+  if (checksum && checksum !== await checksumFile(source)) {
+    throw new Error(`The checksum of "${source}" doesn't match for the restore command of DB()`)
+  }
+  const connection = await this.connection()
+  if (typeof connection.backup !== 'function') {
+    throw new Error('The restore command of DB() needs a version of sqlite3 with the backup API')
+  }
+  // other calls wait until the new database is in place
+  await acquireLock(this)
+  try {
+    await waitForCalls(this)
+    await copyPages(connection, source, false, { progress, pagesPerStep })
+    schemaChanged(this)
+    if (this.options.memory) {
+      // closing would lose the restored database
+      if (this.options.migrate) {
+        await runMigrations(this, typeof this.options.migrate === 'object' ? this.options.migrate : {})
+      }
+    } else {
+      await closeConnection(this)
+    }
+  } finally {
+    this.awaitLock.release()
+  }
+  await this.connection()
+}
+
+function checkPagesPerStep (pagesPerStep, command) {
+  if (!Number.isInteger(pagesPerStep) || pagesPerStep < 1) {
+    throw new Error(`pagesPerStep has to be a positive integer for the ${command} command of DB()`)
+  }
+}
+
+/**
+ * Not supported: sqlite3 always returns integers as numbers and has no option for BigInts
+ */
+DB.prototype.defaultSafeIntegers = async function () {
+  throw new Error('defaultSafeIntegers is not supported by sqlite3 for DB()')
 }
 
 /**
@@ -140,12 +772,16 @@ DB.prototype.defaultSafeIntegers = function (toggleState) {
  * @returns {object}
  */
 DB.prototype.run = async function (query, ...bindParameters) {
-  const db = await this.connection()
-  return new Promise((resolve, reject) => {
-    db.run(query, ...bindParameters, function (err) {
-      err ? reject(err) : resolve(this)
-    })
-  })
+  const [sql, parameters] = resolveQuery(query, bindParameters)
+  // every attempt gets the connection again, so a transaction that started in between runs first
+  if (!ddlPattern.test(sql)) {
+    return withRetry(this, () => useConnection(this, (db) => callStatement(this, db, 'run', sql, parameters)))
+  }
+  try {
+    return await withRetry(this, () => useConnection(this, (db) => callConnection(this, db, 'run', sql, parameters)))
+  } finally {
+    schemaChanged(this)
+  }
 }
 
 /**
@@ -157,10 +793,7 @@ DB.prototype.run = async function (query, ...bindParameters) {
  * @returns {array}
  */
 DB.prototype.query = async function (query, ...bindParameters) {
-  const db = await this.connection()
-  return new Promise((resolve, reject) =>
-    db.all(query, ...bindParameters, (err, rows) => (err ? reject(err) : resolve(rows)))
-  )
+  return (await fetchAll(this, query, bindParameters)).map((row) => decodeQueryRow(this.codecs, row))
 }
 
 /**
@@ -172,10 +805,7 @@ DB.prototype.query = async function (query, ...bindParameters) {
  * @returns {Object|null}
  */
 DB.prototype.queryFirstRow = async function (query, ...bindParameters) {
-  const db = await this.connection()
-  return new Promise((resolve, reject) =>
-    db.get(query, ...bindParameters, (err, row) => (err ? reject(err) : resolve(row)))
-  )
+  return decodeQueryRow(this.codecs, await fetchFirst(this, query, bindParameters))
 }
 
 /**
@@ -189,10 +819,7 @@ DB.prototype.queryFirstRow = async function (query, ...bindParameters) {
  * @returns {Object}
  */
 DB.prototype.queryFirstRowObject = async function (query, ...bindParameters) {
-  const db = await this.connection()
-  return new Promise((resolve, reject) =>
-    db.get(query, ...bindParameters, (err, row) => (err ? reject(err) : resolve(row || {})))
-  )
+  return (await this.queryFirstRow(query, ...bindParameters)) || {}
 }
 
 /**
@@ -203,21 +830,12 @@ DB.prototype.queryFirstRowObject = async function (query, ...bindParameters) {
  * @returns {any}
  */
 DB.prototype.queryFirstCell = async function (query, ...bindParameters) {
-  const db = await this.connection()
-  return new Promise((resolve, reject) =>
-    db.get(query, ...bindParameters, (err, row) => {
-      if (err) {
-        reject(err)
-        return
-      }
-      if (!row) {
-        resolve(undefined)
-        return
-      }
-      const keys = Object.keys(row)
-      resolve(keys.length ? row[keys[0]] : undefined)
-    })
-  )
+  const row = await this.queryFirstRow(query, ...bindParameters)
+  if (!row) {
+    return undefined
+  }
+  const keys = Object.keys(row)
+  return keys.length ? row[keys[0]] : undefined
 }
 
 /**
@@ -233,16 +851,27 @@ DB.prototype.each = async function (query, ...bindParameters) {
   if (typeof bindParameters[bindParameters.length - 1] === 'function') {
     callback = bindParameters.pop()
   }
-  const db = await this.connection()
-  return new Promise((resolve, reject) => {
-    db.each(
-      query,
-      ...bindParameters,
-      (err, row) => (err ? reject(err) : callback(row)),
-      (err, count) => {
-        err ? reject(err) : resolve(count)
+  const [sql, parameters] = resolveQuery(query, bindParameters)
+  return withReader(this, async (db) => {
+    let error
+    const count = await callStatement(this, db, 'each', sql, parameters, (err, row) => {
+      if (error) {
+        return
       }
-    )
+      try {
+        if (err) {
+          throw err
+        }
+        callback(decodeQueryRow(this.codecs, row))
+      } catch (e) {
+        // errors of the callback or a codec would be uncaught otherwise; the remaining rows are skipped
+        error = e
+      }
+    })
+    if (error) {
+      throw error
+    }
+    return count
   })
 }
 
@@ -284,7 +913,7 @@ DB.prototype.queryKeyAndColumn = async function (key, column, query, ...bindPara
  *
  * @param {String} table Name of the table
  * @param {Object} data a Object of data to set. Key is the name of the column. Value 'undefined' is filtered
- * @param {String|Array|Object} where required. array with a string and the replacements for ? after that. F.e. ['id > ? && name = ?', id, name]. Or an object with key values. F.e. {id: params.id}. Or simply an ID that will be translated to ['id = ?', id]
+ * @param {String|Array|Object} where required. array with a string and the replacements for ? after that. F.e. ['id > ? && name = ?', id, name]. Or an object with key values and operators. F.e. {id: [1, 2], deleted: null, age: {gt: 18}, $or: [{...}, {...}]}. Or simply an ID that will be translated to ['id = ?', id]
  * @param {undefined|Array} whiteList optional List of columns that can only be updated with "data"
  * @returns {Integer}
  */
@@ -300,17 +929,18 @@ DB.prototype.update = async function (table, data, where, whiteList) {
   }
 
   // Build start of where query
-  let sql = `UPDATE \`${table}\` SET `
+  let sql = `UPDATE ${quoteTable(table)} SET `
   let parameter = []
 
   // Build data part of the query
   const setStringBuilder = []
+  data = encodeRow(this.codecs.tables.get(table), data)
   for (const keyOfData in data) {
     const value = data[keyOfData]
     // don't set undefined and only values in an optional whitelist
     if (value !== undefined && (!whiteList || whiteList.includes(keyOfData))) {
       parameter.push(value)
-      setStringBuilder.push(`\`${keyOfData}\` = ?`)
+      setStringBuilder.push(`${quoteIdentifier(keyOfData)} = ?`)
     }
   }
   if (!setStringBuilder.length) {
@@ -320,28 +950,9 @@ DB.prototype.update = async function (table, data, where, whiteList) {
   sql += setStringBuilder.join(', ')
 
   // Build where part of query
-  sql += ' WHERE '
-  if (Array.isArray(where)) {
-    const [whereTerm, ...whereParameter] = where
-    sql += whereTerm
-    parameter = [...parameter, ...whereParameter]
-  } else if (typeof where === 'object') {
-    const whereStringBuilder = []
-    for (const keyOfWhere in where) {
-      const value = where[keyOfWhere]
-      if (value !== undefined) {
-        parameter.push(value)
-        whereStringBuilder.push(`\`${keyOfWhere}\` = ?`)
-      }
-    }
-    if (!whereStringBuilder.length) {
-      throw new Error('Where is not constructed for the update command of DB()')
-    }
-    sql += whereStringBuilder.join(' AND ')
-  } else {
-    sql += 'id = ?'
-    parameter.push(where)
-  }
+  const [whereTerm, ...whereParameter] = createWhere(where, 'update', true, createEncoder(this, table))
+  sql += ' WHERE ' + whereTerm
+  parameter = [...parameter, ...whereParameter]
 
   return (await this.run(sql, ...parameter)).changes
 }
@@ -351,7 +962,7 @@ DB.prototype.update = async function (table, data, where, whiteList) {
  *
  * @param {String} table Name of the table
  * @param {Object} data a Object of data to set. Key is the name of the column. Value 'undefined' is filtered
- * @param {String|Array|Object} where required. array with a string and the replacements for ? after that. F.e. ['id > ? && name = ?', id, name]. Or an object with key values. F.e. {id: params.id}. Or simply an ID that will be translated to ['id = ?', id]
+ * @param {String|Array|Object} where required. array with a string and the replacements for ? after that. F.e. ['id > ? && name = ?', id, name]. Or an object with key values and operators. F.e. {id: [1, 2], deleted: null, age: {gt: 18}, $or: [{...}, {...}]}. Or simply an ID that will be translated to ['id = ?', id]
  * @param {undefined|Array} whiteBlackList optional List of columns that can not be updated with "data" (blacklist)
  * @returns {Integer}
  */
@@ -368,7 +979,7 @@ DB.prototype.updateWithBlackList = async function (table, data, where, blackList
  * @returns {Integer} The ID of the last inserted row
  */
 DB.prototype.insert = async function (table, data, whiteList) {
-  return (await this.run(...createInsertOrReplaceStatement('INSERT', table, data, whiteList))).lastID
+  return (await this.run(...createInsertOrReplaceStatement('INSERT', table, encodeData(this, table, data), whiteList))).lastID
 }
 
 /**
@@ -392,7 +1003,7 @@ DB.prototype.insertWithBlackList = async function (table, data, blackList) {
  * @returns {Integer} The ID of the last replaced row
  */
 DB.prototype.replace = async function (table, data, whiteList) {
-  return (await this.run(...createInsertOrReplaceStatement('REPLACE', table, data, whiteList))).lastID
+  return (await this.run(...createInsertOrReplaceStatement('REPLACE', table, encodeData(this, table, data), whiteList))).lastID
 }
 
 /**
@@ -407,11 +1018,222 @@ DB.prototype.replaceWithBlackList = async function (table, data, blackList) {
   return this.replace(table, data, await createWhiteListByBlackList.bind(this)(table, blackList))
 }
 
+/**
+ * Inserts many rows in one transaction. The rows are split into chunks, so no statement has more bind parameters
+ * than the option `maxVariables` allows. Every row can have its own columns; columns that are missing in a row
+ * get their default value.
+ *
+ * A table WITHOUT ROWID has no IDs, so its rows are returned as the value of their primary key (an array
+ * of the values for a primary key with more than one column).
+ *
+ * @param {String} table Name of the table
+ * @param {Array} data an array of objects. Key is the name of the column. Value 'undefined' is filtered
+ * @param {undefined|Array} whiteList optional List of columns that only can be set with "data"
+ * @returns {Array} The IDs of all inserted rows
+ */
+DB.prototype.insertMany = async function (table, data, whiteList) {
+  return insertOrReplaceMany(this, 'INSERT', table, data, whiteList)
+}
+
+/**
+ * Replaces many rows in one transaction. The rows are split into chunks, so no statement has more bind parameters
+ * than the option `maxVariables` allows. Every row can have its own columns; columns that are missing in a row
+ * get their default value.
+ *
+ * A table WITHOUT ROWID has no IDs, so its rows are returned as the value of their primary key (an array
+ * of the values for a primary key with more than one column).
+ *
+ * @param {String} table Name of the table
+ * @param {Array} data an array of objects. Key is the name of the column. Value 'undefined' is filtered
+ * @param {undefined|Array} whiteList optional List of columns that only can be set with "data"
+ * @returns {Array} The IDs of all replaced rows
+ */
+DB.prototype.replaceMany = async function (table, data, whiteList) {
+  return insertOrReplaceMany(this, 'REPLACE', table, data, whiteList)
+}
+
+/**
+ * Imports a CSV file into a table. The file is parsed while it's read and the rows are inserted in transactions
+ * of `batchSize` rows. A row that fails a constraint is skipped and reported with its line; other errors stop the
+ * import, the batches before are kept. Unquoted empty fields are inserted as null, all other values as text,
+ * so the codecs of the table are not used.
+ *
+ * @example const { inserted, skipped, errors } = await DB().importCsv('users', './partner/users.csv', { onConflict: 'ignore' })
+ * @param {String} table Name of the table
+ * @param {Readable|String} source a stream or the path of the file
+ * @param {Object} options optional.
+ *   `columns`: the columns of the fields in their order. Default: the header of the file
+ *   `header`: whether the first line has the names of the columns. With `columns` it's skipped. Default: true
+ *   `delimiter`: Default: ','
+ *   `batchSize`: the number of rows per transaction. Default: 500
+ *   `onConflict`: 'ignore' and 'replace' skip or replace existing rows, 'upsert' updates them. Default: a conflict is an error of the row
+ *   `conflictColumns`: the conflict columns for 'upsert'
+ * @returns {Object} `inserted`: the number of inserted (or replaced or updated) rows, `skipped`: the number of skipped rows,
+ *   `errors`: array of `{ line, message }` of the failed rows
+ */
+DB.prototype.importCsv = async function (table, source, { columns, header = true, delimiter = ',', batchSize = 500, onConflict, conflictColumns } = {}) {
+  checkImportOptions('importCsv', table, source, { batchSize, onConflict, conflictColumns })
+  if (!header && !columns) {
+    throw new Error('Columns are missing for the importCsv command of DB() without header')
+  }
+  if (typeof delimiter !== 'string' || delimiter.length !== 1 || /["\r\n]/.test(delimiter)) {
+    throw new Error(`The delimiter "${delimiter}" is not valid for the importCsv command of DB()`)
+  }
+
+  let names = header ? undefined : columns
+  return importRecords(this, table, source, new CsvParser(delimiter), { batchSize, onConflict, conflictColumns }, {
+    columns: () => names,
+    values: (record) => {
+      if (!names) {
+        // the header; `columns` replaces its names
+        names = columns || record.values
+        return null
+      }
+      if (record.values.length !== names.length) {
+        throw new Error(`Expected ${names.length} fields but found ${record.values.length}`)
+      }
+      return record.values
+    }
+  })
+}
+
+/**
+ * Imports a file with one JSON object per line (NDJSON) into a table. The file is parsed while it's read and the rows
+ * are inserted in transactions of `batchSize` rows. A row that fails a constraint, is no JSON object or has other
+ * fields than the columns is skipped and reported with its line; other errors stop the import, the batches before
+ * are kept. Missing fields are inserted as null. The values are encoded by the codecs of the table; other objects
+ * and arrays are inserted as JSON.
+ *
+ * @example const { inserted, skipped, errors } = await DB().importNdjson('events', './logs/events.ndjson', { batchSize: 1000 })
+ * @param {String} table Name of the table
+ * @param {Readable|String} source a stream or the path of the file
+ * @param {Object} options optional.
+ *   `columns`: the columns that are imported. Default: the fields of the first object
+ *   `batchSize`: the number of rows per transaction. Default: 500
+ *   `onConflict`: 'ignore' and 'replace' skip or replace existing rows, 'upsert' updates them. Default: a conflict is an error of the row
+ *   `conflictColumns`: the conflict columns for 'upsert'
+ * @returns {Object} `inserted`: the number of inserted (or replaced or updated) rows, `skipped`: the number of skipped rows,
+ *   `errors`: array of `{ line, message }` of the failed rows
+ */
+DB.prototype.importNdjson = async function (table, source, { columns, batchSize = 500, onConflict, conflictColumns } = {}) {
+  checkImportOptions('importNdjson', table, source, { batchSize, onConflict, conflictColumns })
+  if (columns !== undefined && (!Array.isArray(columns) || !columns.length)) {
+    throw new Error('Columns have to be a non-empty array for the importNdjson command of DB()')
+  }
+
+  let names = columns
+  return importRecords(this, table, source, new NdjsonParser(), { batchSize, onConflict, conflictColumns }, {
+    columns: () => names,
+    values: (record) => {
+      const row = JSON.parse(record.text)
+      if (!row || typeof row !== 'object' || Array.isArray(row) || !Object.keys(row).length) {
+        throw new Error('Expected a JSON object with fields')
+      }
+      names = names || Object.keys(row)
+      const unexpected = Object.keys(row).find((field) => !names.includes(field))
+      if (unexpected !== undefined) {
+        throw new Error(`Unexpected field "${unexpected}"`)
+      }
+      const encoded = encodeData(this, table, row)
+      return names.map((name) => {
+        const value = encoded[name]
+        if (value === undefined) {
+          return null
+        }
+        return value && typeof value === 'object' && !Buffer.isBuffer(value) ? JSON.stringify(value) : value
+      })
+    }
+  })
+}
+
+/**
+ * Create an insert statement that updates the existing row if it conflicts with a unique index or the primary key
+ * (INSERT ... ON CONFLICT(...) DO UPDATE). Unlike replace the existing row is not deleted.
+ *
+ * @param {String} table Name of the table
+ * @param {Object|Array} data a Object of data to set. Key is the name of the column. Can be an array of objects.
+ * @param {String|Array} conflictColumns Column(s) of the unique index or primary key that can conflict
+ * @param {undefined|Array|Object} whiteList optional List of columns that only can be set with "data".
+ *   Or an object `{ whiteList, update }`, where `update` is the list of columns that are updated on a conflict.
+ *   Default for `update`: all columns of "data" that are not conflict columns
+ * @returns {Integer} The ID of the inserted or updated row, of the last row for an array. The primary key for a table WITHOUT ROWID
+ */
+DB.prototype.upsert = async function (table, data, conflictColumns, whiteList) {
+  const options = !whiteList || Array.isArray(whiteList) ? { whiteList } : whiteList
+  if (!table) {
+    throw new Error('Table is missing for the upsert command of DB()')
+  }
+  if (typeof conflictColumns === 'string') {
+    conflictColumns = [conflictColumns]
+  }
+  const rows = [].concat(encodeData(this, table, data))
+  if (!rows.length) {
+    throw new Error('Data is missing for the upsert command of DB()')
+  }
+  // rows with other columns get their own statement; the order of the rows is kept
+  const statements = groupRowsByColumns(rows).map((group) =>
+    createUpsertStatement(table, group, conflictColumns, options.whiteList, options.update)
+  )
+  const primaryKey = await introspection.withoutRowidKey(this, table)
+
+  return this.transaction(async (tx) => {
+    let lastID
+    for (const statement of statements) {
+      lastID = (await tx.run(...statement)).lastID
+    }
+    // SQLite doesn't set the last rowid if the row was updated, so the row is looked up by its conflict columns
+    const row = rows[rows.length - 1]
+    const keys = conflictColumns.map((column) => row[column])
+    if (keys.some((value) => value === null || value === undefined)) {
+      // NULL never conflicts, so the row was inserted
+      if (!primaryKey) {
+        return lastID
+      }
+      return findUpsertedRow(tx, table, primaryKey, primaryKey, primaryKey.map((column) => row[column]))
+    }
+    return findUpsertedRow(tx, table, primaryKey || ['rowid'], conflictColumns, keys)
+  })
+}
+
+/**
+ * Returns the ID of a row or its primary key in a table WITHOUT ROWID, found by the values of some columns
+ */
+async function findUpsertedRow (db, table, idColumns, columns, values) {
+  // SQLite names the rowid after its alias column, f.e. id
+  const names = idColumns.map((column) => `${quoteIdentifier(column)} AS ${quoteIdentifier(column)}`)
+  const row = await fetchFirst(db, `SELECT ${names.join(', ')} FROM ${quoteTable(table)} WHERE ` +
+    columns.map((column) => `${quoteIdentifier(column)} = ?`).join(' AND '), values)
+  if (!row) {
+    return undefined
+  }
+  const key = idColumns.map((column) => row[column])
+  return key.length === 1 ? key[0] : key
+}
+
+/**
+ * Create an insert statement that updates the existing row if it conflicts with a unique index or the primary key
+ * (INSERT ... ON CONFLICT(...) DO UPDATE). Unlike replace the existing row is not deleted.
+ *
+ * @param {String} table Name of the table
+ * @param {Object|Array} data a Object of data to set. Key is the name of the column. Can be an array of objects.
+ * @param {String|Array} conflictColumns Column(s) of the unique index or primary key that can conflict
+ * @param {undefined|Array|Object} blackList optional List of columns that can not be set with "data".
+ *   Or an object `{ blackList, update }`, where `update` is the list of columns that are updated on a conflict.
+ * @returns {Integer} The ID of the inserted or updated row, of the last row for an array. The primary key for a table WITHOUT ROWID
+ */
+DB.prototype.upsertWithBlackList = async function (table, data, conflictColumns, blackList) {
+  const options = !blackList || Array.isArray(blackList) ? { blackList } : blackList
+  return this.upsert(table, data, conflictColumns, {
+    whiteList: await createWhiteListByBlackList.bind(this)(table, options.blackList),
+    update: options.update
+  })
+}
+
 /**
  * Create a delete statement; create more complex one with exec yourself.
  *
  * @param {String} table required. Name of the table
- * @param {String|Array|Object} where required. array with a string and the replacements for ? after that. F.e. ['id > ? && name = ?', id, name]. Or an object with key values. F.e. {id: params.id}. Or simply an ID that will be translated to ['id = ?', id]
+ * @param {String|Array|Object} where required. array with a string and the replacements for ? after that. F.e. ['id > ? && name = ?', id, name]. Or an object with key values and operators. F.e. {id: [1, 2], deleted: null, age: {gt: 18}, $or: [{...}, {...}]}. Or simply an ID that will be translated to ['id = ?', id]
  * @returns {Integer} Number of changed rows
  */
 DB.prototype.delete = async function (table, where) {
@@ -422,40 +1244,151 @@ DB.prototype.delete = async function (table, where) {
     throw new Error('Table is missing for the delete command of DB()')
   }
 
-  // Build start of where query
-  let sql = `DELETE FROM \`${table}\` WHERE `
-  let parameter = []
-
   // Build where part of query
-  if (Array.isArray(where)) {
-    const [whereTerm, ...whereParameter] = where
-    sql += whereTerm
-    parameter = whereParameter
-  } else if (typeof where === 'object') {
-    const whereStringBuilder = []
-    for (const keyOfWhere in where) {
-      const value = where[keyOfWhere]
-      if (value !== undefined) {
-        parameter.push(value)
-        whereStringBuilder.push(`\`${keyOfWhere}\` = ?`)
-      }
-    }
-    if (!whereStringBuilder.length) {
-      throw new Error('Where is not constructed for the delete command of DB()')
-    }
-    sql += whereStringBuilder.join(' AND ')
-  } else {
-    sql += 'id = ?'
-    parameter.push(where)
+  const [whereTerm, ...parameter] = createWhere(where, 'delete', true, createEncoder(this, table))
+  return (await this.run(`DELETE FROM ${quoteTable(table)} WHERE ${whereTerm}`, ...parameter)).changes
+}
+
+/**
+ * Create a select statement; create more complex one with query yourself.
+ *
+ * @example const users = await DB().select('users', { where: { deleted: null }, columns: ['id', 'email'], orderBy: { lastName: 'ASC' }, limit: 10 })
+ * @param {String} table required. Name of the table
+ * @param {Object} options optional.
+ *   `where`: the same as for update and delete. Without it all rows are selected
+ *   `columns`: array of column names or a string with the select part of the query. Default: '*'
+ *   `orderBy`: string with the order part of the query, array of column names or object with the column as key and 'ASC' or 'DESC' as value
+ *   `limit` and `offset`: integers
+ * @returns {Array} The selected rows
+ */
+DB.prototype.select = async function (table, options = {}) {
+  const [sql, ...parameter] = createSelectStatement('select', table, options, createEncoder(this, table))
+  return (await fetchAll(this, sql, parameter)).map((row) => decodeRow(this.codecs.tables.get(table), row))
+}
+
+/**
+ * Create a select statement and return the first row; create more complex one with queryFirstRow yourself.
+ *
+ * @param {String} table required. Name of the table
+ * @param {Object} options optional. The same as for select
+ * @returns {Object|undefined} The first selected row
+ */
+DB.prototype.selectFirst = async function (table, options = {}) {
+  const [sql, ...parameter] = createSelectStatement('selectFirst', table, { ...options, limit: 1 }, createEncoder(this, table))
+  return decodeRow(this.codecs.tables.get(table), await fetchFirst(this, sql, parameter))
+}
+
+/**
+ * Returns the number of rows
+ *
+ * @param {String} table required. Name of the table
+ * @param {String|Array|Object} where optional. The same as for update and delete. Without it all rows are counted
+ * @returns {Integer} Number of rows
+ */
+DB.prototype.count = async function (table, where) {
+  return this.queryFirstCell(...createSelectStatement('count', table, { where, columns: 'COUNT(1)' }, createEncoder(this, table)))
+}
+
+/**
+ * Returns whether a row exists
+ *
+ * @param {String} table required. Name of the table
+ * @param {String|Array|Object} where optional. The same as for update and delete. Without it any row is enough
+ * @returns {Boolean}
+ */
+DB.prototype.exists = async function (table, where) {
+  const [sql, ...parameter] = createSelectStatement('exists', table, { where, columns: '1', limit: 1 }, createEncoder(this, table))
+  return !!(await this.queryFirstCell(`SELECT EXISTS (${sql})`, ...parameter))
+}
+
+/**
+ * Runs a query without decoding the rows
+ */
+async function fetchAll (db, query, bindParameters) {
+  return withReader(db, (connection) => callStatement(db, connection, 'all', ...resolveQuery(query, bindParameters)))
+}
+
+/**
+ * Returns the first row of a query without decoding it
+ */
+async function fetchFirst (db, query, bindParameters) {
+  return withReader(db, (connection) => callStatement(db, connection, 'get', ...resolveQuery(query, bindParameters)))
+}
+
+/**
+ * Calls `read` with a connection of the pool or, without a pool, the connection of the instance
+ */
+async function withReader (db, read) {
+  if (!db.readPool) {
+    return useConnection(db, read)
+  }
+  return db.readPool.use(read)
+}
+
+/**
+ * Opens a read-only connection for the pool. The connection of the instance is opened before,
+ * so the database exists and is migrated
+ */
+async function openReader (db) {
+  await db.connection()
+  const reader = await new Promise((resolve, reject) => {
+    const reader = new sqlite3.Database(db.options.path, sqlite3.OPEN_READONLY, (err) => (err ? reject(err) : resolve(reader)))
+  })
+  try {
+    await setupConnection(db, reader, true)
+  } catch (e) {
+    reader.close(() => {})
+    throw e
+  }
+  addStatementCache(db, reader)
+  return reader
+}
+
+/**
+ * Gives a connection a cache of prepared statements, if the option `statementCache` is set
+ */
+function addStatementCache (db, connection) {
+  if (db.statementCacheCapacity) {
+    connection.statementCache = new StatementCache(connection, db.statementCacheCapacity, db.statementCacheCounters)
+    db.statementCaches.add(connection.statementCache)
   }
-  return (await this.run(sql, ...parameter)).changes
+}
+
+/**
+ * Finalizes the cached statements of a connection before it's closed
+ */
+async function closeStatementCache (db, connection) {
+  const cache = connection.statementCache
+  if (cache) {
+    db.statementCaches.delete(cache)
+    await cache.clear()
+  }
+}
+
+/**
+ * Clears the caches that depend on the schema after it was changed
+ */
+function schemaChanged (db) {
+  db.schemaCache.clear()
+  // sqlite3 would prepare them again by itself, but statements of dropped tables would stay in the caches
+  db.statementCaches.forEach((cache) => cache.clear())
+}
+
+function encodeData (db, table, data) {
+  const codecs = db.codecs.tables.get(table)
+  return Array.isArray(data) ? data.map((rowData) => encodeRow(codecs, rowData)) : encodeRow(codecs, data)
+}
+
+function createEncoder (db, table) {
+  const codecs = db.codecs.tables.get(table)
+  return codecs ? (column, value) => encodeValue(codecs, column, value) : undefined
 }
 
 async function createWhiteListByBlackList (table, blackList) {
   let whiteList
   if (Array.isArray(blackList)) {
     // get all avaible columns
-    whiteList = await this.queryColumn('name', `PRAGMA table_info('${table}')`)
+    whiteList = (await this.columns(table)).map((column) => column.name)
     // get only those not in the whiteBlackList
     whiteList = whiteList.filter((v) => !blackList.includes(v))
   }
@@ -475,6 +1408,10 @@ function createInsertOrReplaceStatement (insertOrReplace, table, data, whiteList
   if (Array.isArray(whiteList)) {
     fields = fields.filter((v) => whiteList.includes(v))
   }
+  if (!fields.length && data.length === 1) {
+    // a row without values gets the default value in every column
+    return [`${insertOrReplace} INTO ${quoteTable(table)} DEFAULT VALUES`]
+  }
 
   // Build start of where query
   const parameter = []
@@ -482,89 +1419,431 @@ function createInsertOrReplaceStatement (insertOrReplace, table, data, whiteList
   const sql = data.reduce((sql, rowData, index) => {
     fields.forEach((field) => parameter.push(rowData[field]))
     return sql + (index ? ',' : '') + '(' + Array.from({ length: fields.length }, () => '?').join(',') + ')'
-  }, `${insertOrReplace} INTO \`${table}\` (\`${fields.join('`,`')}\`) VALUES `)
+  }, `${insertOrReplace} INTO ${quoteTable(table)} (${fields.map(quoteIdentifier).join(',')}) VALUES `)
   return [sql, ...parameter]
 }
 
+async function insertOrReplaceMany (db, insertOrReplace, table, data, whiteList) {
+  if (!table) {
+    throw new Error(`Table is missing for the ${insertOrReplace} command of DB()`)
+  }
+  if (!Array.isArray(data)) {
+    data = [data]
+  }
+  // a table WITHOUT ROWID has no IDs; its rows are identified by their primary key
+  const primaryKey = await introspection.withoutRowidKey(db, table)
+  const alias = primaryKey ? null : await introspection.rowidAlias(db, table)
+
+  // Rows with the same columns that follow each other share a chunk
+  const chunks = []
+  encodeData(db, table, data).forEach((rowData, index) => {
+    const fields = Object.keys(rowData).filter(
+      (v) => rowData[v] !== undefined && (!Array.isArray(whiteList) || whiteList.includes(v))
+    )
+    const signature = fields.slice().sort().join(',')
+    let chunk = chunks[chunks.length - 1]
+    if (
+      !chunk ||
+      !fields.length ||
+      chunk.signature !== signature ||
+      (chunk.rows.length + 1) * fields.length > db.options.maxVariables
+    ) {
+      chunk = { signature, fields, rows: [], indexes: [] }
+      chunks.push(chunk)
+    }
+    chunk.rows.push(rowData)
+    chunk.indexes.push(index)
+  })
+
+  return db.transaction(async (tx) => {
+    const ids = []
+    for (const { fields, rows, indexes } of chunks) {
+      const rowidField = fields.find((field) => field === alias || rowidNames.includes(field.toLowerCase()))
+      if (primaryKey) {
+        await tx.run(...createInsertOrReplaceStatement(insertOrReplace, table, rows, fields))
+        indexes.forEach((index) => {
+          const key = primaryKey.map((column) => data[index][column])
+          ids.push(key.length === 1 ? key[0] : key)
+        })
+      } else if (rowidField && rows.every((rowData) => Number.isInteger(rowData[rowidField]))) {
+        // the rows have their own IDs
+        await tx.run(...createInsertOrReplaceStatement(insertOrReplace, table, rows, fields))
+        rows.forEach((rowData) => ids.push(rowData[rowidField]))
+      } else if (rowidField) {
+        ids.push(...await insertOrReplaceRows(tx, insertOrReplace, table, rows, fields))
+      } else {
+        ids.push(...await insertOrReplaceChunk(tx, insertOrReplace, table, rows, fields))
+      }
+    }
+    return ids
+  })
+}
+
 /**
- * Migrates database schema to the latest version
+ * Inserts the rows of a chunk that get their rowids from SQLite and returns the rowids. SQLite gives every row the
+ * highest rowid plus one, so the rowids of a chunk are the ones up to the last rowid. Replaced rows of the same chunk
+ * or triggers can break this; then the chunk is undone and every row is inserted by itself.
  */
-DB.prototype.migrate = async function ({ force = false, table = 'migrations', migrationsPath = './migrations' } = {}) {
-  if (!this.options.migrate) {
-    // We don't call `connection` if `options.migrate` is `true`, because in this case `connection` will call `migrate`
-    // which would lead into a dead-lock.
-    await this.connection()
+async function insertOrReplaceChunk (tx, insertOrReplace, table, rows, fields) {
+  if (rows.length === 1) {
+    return [(await tx.run(...createInsertOrReplaceStatement(insertOrReplace, table, rows, fields))).lastID]
   }
+  const notConsecutive = new Error('The rowids of the chunk are not consecutive')
+  const ids = await tx.transaction(async (chunkTx) => {
+    const { lastID } = await chunkTx.run(...createInsertOrReplaceStatement(insertOrReplace, table, rows, fields))
+    const firstID = lastID - rows.length + 1
+    const { count } = await fetchFirst(chunkTx, `SELECT COUNT(1) AS count FROM ${quoteTable(table)} WHERE rowid BETWEEN ? AND ?`, [firstID, lastID])
+    if (count !== rows.length) {
+      throw notConsecutive
+    }
+    return rows.map((rowData, index) => firstID + index)
+  }).catch((err) => {
+    if (err !== notConsecutive) {
+      throw err
+    }
+    return null
+  })
+  return ids || insertOrReplaceRows(tx, insertOrReplace, table, rows, fields)
+}
 
-  const exec = (query, ...bindParameters) =>
-    new Promise((resolve, reject) =>
-      this.db.exec(query, ...bindParameters, (err) => (err ? reject(err) : resolve()))
-    )
-  const run = (query, ...bindParameters) =>
-    new Promise((resolve, reject) =>
-      this.db.run(query, ...bindParameters, function (err) {
-        err ? reject(err) : resolve(this)
-      })
-    )
-  const query = (query, ...bindParameters) =>
-    new Promise((resolve, reject) =>
-      this.db.all(query, ...bindParameters, (err, rows) => (err ? reject(err) : resolve(rows)))
-    )
+/**
+ * Inserts the rows of a chunk one by one with a prepared statement and returns their rowids
+ */
+async function insertOrReplaceRows (tx, insertOrReplace, table, rows, fields) {
+  const [sql] = createInsertOrReplaceStatement(insertOrReplace, table, rows[0], fields)
+  const statement = await tx.prepare(sql)
+  try {
+    const ids = []
+    for (const rowData of rows) {
+      ids.push((await statement.run(...fields.map((field) => rowData[field]))).lastID)
+    }
+    return ids
+  } finally {
+    await statement.finalize()
+  }
+}
 
-  const location = path.resolve(process.cwd(), migrationsPath)
+function createSelectStatement (command, table, { where, columns = '*', orderBy, limit, offset } = {}, encode) {
+  if (!table) {
+    throw new Error(`Table is missing for the ${command} command of DB()`)
+  }
 
-  // Get the list of migration files, for example:
-  //   { id: 1, name: 'initial', filename: '001-initial.sql' }
-  //   { id: 2, name: 'feature', fielname: '002-feature.sql' }
-  let migrations = fs
-    .readdirSync(location)
-    .map((x) => x.match(/^(\d+).(.*?)\.sql$/))
-    .filter((x) => x !== null)
-    .map((x) => ({ id: Number(x[1]), name: x[2], filename: x[0] }))
-    .sort((a, b) => Math.sign(a.id - b.id))
+  let sql = `SELECT ${Array.isArray(columns) ? columns.map(quoteIdentifier).join(', ') : columns} FROM ${quoteTable(table)}`
+  let parameter = []
 
-  if (!migrations.length) {
-    // No migration files found
-    return
+  // Build where part of query
+  const whereClause = where === undefined || where === null ? null : createWhere(where, command, false, encode)
+  if (whereClause) {
+    const [whereTerm, ...whereParameter] = whereClause
+    sql += ` WHERE ${whereTerm}`
+    parameter = whereParameter
   }
 
-  // Ge the list of migrations, for example:
-  //   { id: 1, name: 'initial', filename: '001-initial.sql', up: ..., down: ... }
-  //   { id: 2, name: 'feature', fielname: '002-feature.sql', up: ..., down: ... }
-  migrations = migrations.map((migration) => {
-    const filename = path.join(location, migration.filename)
-    const data = fs.readFileSync(filename, 'utf-8')
-    const [up, down] = data.split(/^--\s+?down\b/im)
-    if (!down) {
-      const message = `The ${migration.filename} file does not contain '-- Down' separator.`
-      throw new Error(message)
+  // Build order part of query
+  if (typeof orderBy === 'string') {
+    sql += ` ORDER BY ${orderBy}`
+  } else if (Array.isArray(orderBy) && orderBy.length) {
+    sql += ' ORDER BY ' + orderBy.map(quoteIdentifier).join(', ')
+  } else if (orderBy && typeof orderBy === 'object' && Object.keys(orderBy).length) {
+    sql += ' ORDER BY ' + Object.keys(orderBy).map((column) => {
+      const direction = String(orderBy[column]).toUpperCase()
+      if (direction !== 'ASC' && direction !== 'DESC') {
+        throw new Error(`Unknown direction "${orderBy[column]}" for ${column} in orderBy of the ${command} command of DB()`)
+      }
+      return `${quoteIdentifier(column)} ${direction}`
+    }).join(', ')
+  }
+
+  if (limit !== undefined || offset !== undefined) {
+    sql += ' LIMIT ?'
+    parameter.push(limit === undefined ? -1 : limit)
+    if (offset !== undefined) {
+      sql += ' OFFSET ?'
+      parameter.push(offset)
     }
-    return {
-      ...migration,
-      up: up.replace(/^-- .*?$/gm, '').trim(), // Remove comments
-      down: down.trim() // and trim whitespaces
+  }
+  return [sql, ...parameter]
+}
+
+/**
+ * Checks the options that importCsv and importNdjson share before anything is read
+ */
+function checkImportOptions (command, table, source, { batchSize, onConflict, conflictColumns }) {
+  if (!table) {
+    throw new Error(`Table is missing for the ${command} command of DB()`)
+  }
+  if (!source) {
+    throw new Error(`Source is missing for the ${command} command of DB()`)
+  }
+  if (!Number.isInteger(batchSize) || batchSize < 1) {
+    throw new Error(`batchSize has to be a positive integer for the ${command} command of DB()`)
+  }
+  if (onConflict !== undefined && !importConflictModes[onConflict]) {
+    throw new Error(`Unknown onConflict "${onConflict}" for the ${command} command of DB()`)
+  }
+  if (onConflict === 'upsert' && !(typeof conflictColumns === 'string' ? conflictColumns : (conflictColumns || []).length)) {
+    throw new Error(`Conflict columns are missing for onConflict "upsert" of the ${command} command of DB()`)
+  }
+}
+
+/**
+ * Reads the records of a file or stream with a parser and inserts them in transactions of `batchSize` rows.
+ * `reader.values` returns the values of a record in the order of `reader.columns()`, null for a record without
+ * values like the header or throws the error of the record.
+ */
+async function importRecords (db, table, source, parser, { batchSize, onConflict, conflictColumns }, reader) {
+  const readable = typeof source === 'string' ? fs.createReadStream(path.resolve(process.cwd(), source)) : source
+  if (readable.setEncoding) {
+    // characters can be split between chunks
+    readable.setEncoding('utf8')
+  }
+
+  const result = { inserted: 0, skipped: 0, errors: [] }
+  let sql
+  let batch = []
+  const read = async (records) => {
+    for (const record of records) {
+      let values
+      try {
+        values = reader.values(record)
+      } catch (err) {
+        result.skipped++
+        result.errors.push({ line: record.line, message: err.message })
+        continue
+      }
+      if (!values) {
+        continue
+      }
+      batch.push({ values, line: record.line })
+      if (batch.length >= batchSize) {
+        await flush()
+      }
+    }
+  }
+  const flush = async () => {
+    const records = batch
+    batch = []
+    if (records.length) {
+      sql = sql || createImportStatement(table, reader.columns(), onConflict, conflictColumns)
+      await importBatch(db, sql, records, result)
+    }
+  }
+
+  await consumeStream(readable, (chunk) => read(parser.write(String(chunk))))
+  await read(parser.end())
+  await flush()
+  // rows that can't be read are reported before their batch is inserted
+  result.errors.sort((a, b) => a.line - b.line)
+  return result
+}
+
+/**
+ * Creates the statement for one row of importCsv and importNdjson
+ */
+function createImportStatement (table, columns, onConflict, conflictColumns) {
+  const data = columns.reduce((data, column) => Object.assign(data, { [column]: null }), {})
+  const [sql] = onConflict === 'upsert'
+    ? createUpsertStatement(table, data, conflictColumns)
+    : createInsertOrReplaceStatement(importConflictModes[onConflict] || 'INSERT', table, data)
+  return sql
+}
+
+/**
+ * Inserts the rows of importCsv and importNdjson in one transaction. Rows that fail a constraint are counted as skipped
+ */
+async function importBatch (db, sql, records, result) {
+  await db.transaction(async (tx) => {
+    const statement = await tx.prepare(sql)
+    try {
+      for (const { values, line } of records) {
+        try {
+          const { changes } = await statement.run(...values)
+          changes ? result.inserted++ : result.skipped++
+        } catch (err) {
+          if (err.code !== 'SQLITE_CONSTRAINT') {
+            throw err
+          }
+          result.skipped++
+          result.errors.push({ line, message: err.message })
+        }
+      }
+    } finally {
+      await statement.finalize()
     }
   })
+}
+
+/**
+ * Splits rows into groups of consecutive rows with the same columns. One statement can only insert rows with the same columns
+ */
+function groupRowsByColumns (rows) {
+  const groups = []
+  let signature
+  for (const row of rows) {
+    const rowSignature = JSON.stringify(Object.keys(row))
+    if (rowSignature !== signature) {
+      groups.push([])
+      signature = rowSignature
+    }
+    groups[groups.length - 1].push(row)
+  }
+  return groups
+}
+
+function createUpsertStatement (table, data, conflictColumns, whiteList, update) {
+  if (typeof conflictColumns === 'string') {
+    conflictColumns = [conflictColumns]
+  }
+  if (!Array.isArray(conflictColumns) || !conflictColumns.length) {
+    throw new Error('Conflict columns are missing for the upsert command of DB()')
+  }
+  const [sql, ...parameter] = createInsertOrReplaceStatement('INSERT', table, data, whiteList)
+
+  if (!Array.isArray(update)) {
+    // all rows have the same columns, see groupRowsByColumns
+    update = Object.keys(Array.isArray(data) ? data[0] : data)
+      .filter((v) => !Array.isArray(whiteList) || whiteList.includes(v))
+      .filter((v) => !conflictColumns.includes(v))
+  }
+
+  return [
+    sql +
+      ` ON CONFLICT (${conflictColumns.map(quoteIdentifier).join(',')}) ` +
+      (update.length ? 'DO UPDATE SET ' + update.map((field) => `${quoteIdentifier(field)} = excluded.${quoteIdentifier(field)}`).join(', ') : 'DO NOTHING'),
+    ...parameter
+  ]
+}
+
+/**
+ * Migrates database schema to the latest version or to the version given with `to`. Like a transaction it starts after
+ * the calls that are already running, and other calls wait until it is finished.
+ *
+ * @param {Object} options optional. Defaults to the migrate-options of the instance
+ */
+DB.prototype.migrate = async function (options = {}) {
+  if (this.transactionDepth) {
+    throw new Error('The migrate command of DB() can not be used inside of a transaction')
+  }
+  await useConnectionExclusively(this, () => runMigrations(this, options))
+}
+
+/**
+ * Runs the migrations on the connection of the instance. Call it while holding the lock and no other call runs
+ */
+async function runMigrations (db, options) {
+  const {
+    force = false,
+    table = 'migrations',
+    migrationsPath = './migrations',
+    to,
+    checksumMismatch = 'throw',
+    onChecksumMismatch = (mismatch) => console.warn(mismatch.message)
+  } = getMigrationOptions(db, options)
+  if (to !== undefined && !(Number.isInteger(to) && to >= 0)) {
+    throw new Error(`The migration target "${to}" is not a valid version`)
+  }
+  if (!checksumMismatchModes.includes(checksumMismatch)) {
+    throw new Error(`Unknown checksumMismatch "${checksumMismatch}" for the migrate command of DB()`)
+  }
+
+  const exec = async (query) => {
+    try {
+      await callConnection(db, db.db, 'exec', query)
+    } finally {
+      // migrations change the schema
+      schemaChanged(db)
+    }
+  }
+  const run = (query, ...bindParameters) => callConnection(db, db.db, 'run', query, bindParameters)
+  const query = (query, ...bindParameters) => callConnection(db, db.db, 'all', query, bindParameters)
+
+  const location = path.resolve(process.cwd(), migrationsPath)
+  const migrations = readMigrationFiles(location)
+
+  if (!migrations.length && to === undefined) {
+    // No migration files found
+    return
+  }
 
   // Create a database table for migrations meta data if it doesn't exist
   await exec(`CREATE TABLE IF NOT EXISTS "${table}" (
   id   INTEGER PRIMARY KEY,
   name TEXT    NOT NULL,
   up   TEXT    NOT NULL,
-  down TEXT    NOT NULL
+  down TEXT    NOT NULL,
+  type TEXT    NOT NULL DEFAULT 'sql',
+  checksum TEXT
 )`)
+  // Upgrade tables of older versions
+  const columns = (await query(`PRAGMA table_info("${table}")`)).map((column) => column.name)
+  for (const [column, definition] of Object.entries(migrationTableUpgrades)) {
+    if (!columns.includes(column)) {
+      await exec(`ALTER TABLE "${table}" ADD COLUMN ${column} ${definition}`)
+    }
+  }
+
+  // Runs the up- or down-step of a migration. JavaScript migrations get an instance that works inside of the
+  // transaction of the migration.
+  const runStep = async (migration, direction) => {
+    if (migration.type === 'js') {
+      const filename = path.join(location, migration.filename || `${migration.id}-${migration.name}.js`)
+      const step = loadJsMigration(migration[direction], filename)[direction]
+      await runHoldingLock(db, () => step(createTransactionScope(db, db.db, 1)))
+    } else {
+      await exec(migration[direction])
+    }
+  }
 
   // Get the list of already applied migrations
-  let dbMigrations = await query(`SELECT id, name, up, down FROM "${table}" ORDER BY id ASC`)
+  let dbMigrations = await query(`SELECT id, name, up, down, type, checksum FROM "${table}" ORDER BY id ASC`)
 
-  // Undo migrations that exist only in the database but not in files,
-  // also undo the last migration if the `force` option was set.
   const lastMigration = migrations[migrations.length - 1]
+  const target = to === undefined ? lastMigration.id : to
+  const forced = (migration) => force && to === undefined && migration.id === lastMigration.id
+
+  // Compare the applied migrations with their files. Migrations of older versions have no checksum yet;
+  // they get the checksum of their file.
+  let reapplyFrom = Infinity
+  for (const dbMigration of dbMigrations) {
+    const migration = migrations.find((x) => x.id === dbMigration.id)
+    if (!migration || forced(migration) || dbMigration.checksum === migration.checksum) {
+      continue
+    }
+    if (!dbMigration.checksum) {
+      await run(`UPDATE "${table}" SET checksum = ? WHERE id = ?`, migration.checksum, migration.id)
+      continue
+    }
+    const mismatch = {
+      id: migration.id,
+      name: migration.name,
+      filename: migration.filename,
+      expected: dbMigration.checksum,
+      actual: migration.checksum,
+      message: `The migration file ${migration.filename} was changed after it was applied (checksum ${dbMigration.checksum} != ${migration.checksum})`
+    }
+    if (checksumMismatch === 'warn') {
+      await onChecksumMismatch(mismatch)
+    } else if (checksumMismatch !== 'reapply') {
+      throw new Error(`${mismatch.message}. Set the migrate-option checksumMismatch to 'warn' or 'reapply' to continue.`)
+    } else if (process.env.NODE_ENV === 'production') {
+      throw new Error(`${mismatch.message}. Migrations are not reapplied in production.`)
+    } else {
+      reapplyFrom = Math.min(reapplyFrom, migration.id)
+    }
+  }
+
+  // Undo migrations that exist only in the database but not in files or are newer than the target,
+  // also undo the last migration if the `force` option was set and changed migrations that should be reapplied.
   for (const migration of dbMigrations.slice().sort((a, b) => Math.sign(b.id - a.id))) {
-    if (!migrations.some((x) => x.id === migration.id) || (force && migration.id === lastMigration.id)) {
+    if (
+      migration.id > target ||
+      migration.id >= reapplyFrom ||
+      !migrations.some((x) => x.id === migration.id) ||
+      forced(migration)
+    ) {
       await exec('BEGIN')
       try {
-        await exec(migration.down)
+        await runStep(migration, 'down')
         await run(`DELETE FROM "${table}" WHERE id = ?`, migration.id)
         await exec('COMMIT')
         dbMigrations = dbMigrations.filter((x) => x.id !== migration.id)
@@ -577,19 +1856,21 @@ DB.prototype.migrate = async function ({ force = false, table = 'migrations', mi
     }
   }
 
-  // Apply pending migrations
+  // Apply pending migrations up to the target
   const lastMigrationId = dbMigrations.length ? dbMigrations[dbMigrations.length - 1].id : 0
   for (const migration of migrations) {
-    if (migration.id > lastMigrationId) {
+    if (migration.id > lastMigrationId && migration.id <= target) {
       await exec('BEGIN')
       try {
-        await exec(migration.up)
+        await runStep(migration, 'up')
         await run(
-                    `INSERT INTO "${table}" (id, name, up, down) VALUES (?, ?, ?, ?)`,
+                    `INSERT INTO "${table}" (id, name, up, down, type, checksum) VALUES (?, ?, ?, ?, ?, ?)`,
                     migration.id,
                     migration.name,
                     migration.up,
-                    migration.down
+                    migration.down,
+                    migration.type,
+                    migration.checksum
         )
         await exec('COMMIT')
       } catch (err) {
@@ -600,4 +1881,118 @@ DB.prototype.migrate = async function ({ force = false, table = 'migrations', mi
   }
 }
 
+/**
+ * Rolls back the last applied migrations. The down-steps are taken from the migrations table,
+ * so it works even if the migration files are gone. Other calls wait until it is finished, like for `migrate`.
+ *
+ * @param {Integer} steps optional. Number of migrations to roll back. Default: 1
+ * @param {Object} options optional. Defaults to the migrate-options of the instance
+ * @returns {Integer} The version of the database after the rollback
+ */
+DB.prototype.rollback = async function (steps = 1, options = {}) {
+  if (!(Number.isInteger(steps) && steps >= 0)) {
+    throw new Error(`The number of steps "${steps}" for the rollback command of DB() is not valid`)
+  }
+  if (this.transactionDepth) {
+    throw new Error('The rollback command of DB() can not be used inside of a transaction')
+  }
+  // the status is read under the same lock, so no other migration runs in between
+  return useConnectionExclusively(this, async (connection) => {
+    const query = (query, ...bindParameters) => callConnection(this, connection, 'all', query, bindParameters)
+    const { applied, orphaned } = await readMigrationStatus(this, options, query)
+    const ids = [...applied, ...orphaned].map((migration) => migration.id).sort((a, b) => Math.sign(a - b))
+    const to = steps < ids.length ? ids[ids.length - steps - 1] : 0
+    if (steps) {
+      await runMigrations(this, { ...options, force: false, to })
+    }
+    return to
+  })
+}
+
+/**
+ * Returns the state of all migrations without changing anything:
+ *
+ * applied: Migrations that are in the database and have a file.
+ * pending: Migrations that have a file but are not in the database.
+ * orphaned: Migrations that are in the database but have no file anymore.
+ *
+ * @param {Object} options optional. Defaults to the migrate-options of the instance
+ * @returns {Object} `{ applied, pending, orphaned }` with lists of `{ id, name, type }`
+ */
+DB.prototype.migrationStatus = async function (options = {}) {
+  return readMigrationStatus(this, options, (query, ...bindParameters) => fetchAll(this, query, bindParameters))
+}
+
+async function readMigrationStatus (db, options, query) {
+  const { table = 'migrations', migrationsPath = './migrations' } = getMigrationOptions(db, options)
+  const migrations = readMigrationFiles(path.resolve(process.cwd(), migrationsPath))
+  const [{ tableExists }] = await query("SELECT COUNT(1) AS tableExists FROM sqlite_master WHERE type = 'table' AND name = ?", table)
+  const dbMigrations = tableExists ? await query(`SELECT id, name, type FROM "${table}" ORDER BY id ASC`) : []
+
+  const pick = ({ id, name, type }) => ({ id, name, type: type || 'sql' })
+  return {
+    applied: dbMigrations.filter((x) => migrations.some((migration) => migration.id === x.id)).map(pick),
+    pending: migrations.filter((x) => !dbMigrations.some((migration) => migration.id === x.id)).map(pick),
+    orphaned: dbMigrations.filter((x) => !migrations.some((migration) => migration.id === x.id)).map(pick)
+  }
+}
+
+function getMigrationOptions (db, options) {
+  return {
+    ...(typeof db.options.migrate === 'object' ? db.options.migrate : {}),
+    ...options
+  }
+}
+
+/**
+ * Reads the migration files of a directory, for example:
+ *   { id: 1, name: 'initial', filename: '001-initial.sql', type: 'sql', checksum: ..., up: ..., down: ... }
+ *   { id: 2, name: 'feature', filename: '002-feature.js', type: 'js', checksum: ..., up: ..., down: ... }
+ */
+function readMigrationFiles (location) {
+  return fs
+    .readdirSync(location)
+    .map((x) => x.match(/^(\d+).(.*?)\.(sql|js)$/))
+    .filter((x) => x !== null)
+    .map((x) => ({ id: Number(x[1]), name: x[2], filename: x[0], type: x[3] }))
+    .sort((a, b) => Math.sign(a.id - b.id))
+    .map((migration) => {
+      const filename = path.join(location, migration.filename)
+      const data = fs.readFileSync(filename, 'utf-8')
+      migration.checksum = crypto.createHash('sha256').update(data).digest('hex')
+      if (migration.type === 'js') {
+        // check the exports right away; the source is stored for both directions,
+        // so the down-step can be found even if the file is gone
+        loadJsMigration(data, filename)
+        return { ...migration, up: data, down: data }
+      }
+      const [up, down] = data.split(/^--\s+?down\b/im)
+      if (!down) {
+        const message = `The ${migration.filename} file does not contain '-- Down' separator.`
+        throw new Error(message)
+      }
+      return {
+        ...migration,
+        up: up.replace(/^-- .*?$/gm, '').trim(), // Remove comments
+        down: down.trim() // and trim whitespaces
+      }
+    })
+}
+
+/**
+ * Compiles the source of a JavaScript migration. It is compiled from its source and not required,
+ * so a down-step stored in the database can run without the file.
+ */
+function loadJsMigration (source, filename) {
+  const jsModule = new Module(filename, module)
+  jsModule.filename = filename
+  jsModule.paths = Module._nodeModulePaths(path.dirname(filename))
+  jsModule._compile(source, filename)
+  const migration = jsModule.exports
+  if (!migration || typeof migration.up !== 'function' || typeof migration.down !== 'function') {
+    throw new Error(`The ${path.basename(filename)} file does not export an 'up' and a 'down' function.`)
+  }
+  return migration
+}
+
 module.exports = DB
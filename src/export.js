@@ -0,0 +1,98 @@
+const { Transform } = require('stream')
+
+const blobEncodings = ['base64', 'hex']
+
+/**
+ * Checks the options of exportCsv and exportNdjson
+ *
+ * @param {Object} options `columns`, `header`, `delimiter` and `blobEncoding`
+ * @param {String} command the name of the command for the error messages
+ * @returns {Object} the options with the defaults
+ */
+function getExportOptions ({ columns, header = true, delimiter = ',', blobEncoding = 'base64' } = {}, command) {
+  if (columns !== undefined && (!Array.isArray(columns) || !columns.length)) {
+    throw new Error(`columns has to be a non-empty array for the ${command} command of DB()`)
+  }
+  if (typeof delimiter !== 'string' || delimiter.length !== 1 || /["\r\n]/.test(delimiter)) {
+    throw new Error(`The delimiter "${delimiter}" is not valid for the ${command} command of DB()`)
+  }
+  if (!blobEncodings.includes(blobEncoding)) {
+    throw new Error(`Unknown blobEncoding "${blobEncoding}" for the ${command} command of DB()`)
+  }
+  return { columns, header, delimiter, blobEncoding }
+}
+
+/**
+ * Creates a stream that turns rows into CSV lines (RFC 4180). Without `columns` the columns of the first row are used,
+ * so an empty result gives an empty file.
+ *
+ * @param {Object} options the result of getExportOptions
+ * @returns {Transform}
+ */
+function createCsvTransform ({ columns, header, delimiter, blobEncoding }) {
+  const line = (values) => values.map((value) => formatCsvValue(value, delimiter, blobEncoding)).join(delimiter) + '\n'
+  let headerWritten = !header
+  const writeHeader = () => {
+    const output = headerWritten ? '' : line(columns)
+    headerWritten = true
+    return output
+  }
+  return new Transform({
+    writableObjectMode: true,
+    transform (row, encoding, callback) {
+      columns = columns || Object.keys(row)
+      callback(null, writeHeader() + line(columns.map((column) => row[column])))
+    },
+    flush (callback) {
+      // the header of an empty result, if the columns are known
+      callback(null, columns ? writeHeader() : '')
+    }
+  })
+}
+
+/**
+ * Creates a stream that turns rows into lines of JSON
+ *
+ * @param {Object} options the result of getExportOptions
+ * @returns {Transform}
+ */
+function createNdjsonTransform ({ columns, blobEncoding }) {
+  return new Transform({
+    writableObjectMode: true,
+    transform (row, encoding, callback) {
+      const object = {}
+      for (const column of columns || Object.keys(row)) {
+        const value = row[column]
+        object[column] = Buffer.isBuffer(value) ? value.toString(blobEncoding) : value
+      }
+      callback(null, JSON.stringify(object) + '\n')
+    }
+  })
+}
+
+function formatCsvValue (value, delimiter, blobEncoding) {
+  if (value === null || value === undefined) {
+    return ''
+  }
+  let text
+  if (Buffer.isBuffer(value)) {
+    text = value.toString(blobEncoding)
+  } else if (value instanceof Date) {
+    text = value.toISOString()
+  } else if (typeof value === 'object') {
+    // decoded by the json codec
+    text = JSON.stringify(value)
+  } else {
+    text = String(value)
+  }
+  if (text.includes(delimiter) || /["\r\n]/.test(text)) {
+    return '"' + text.replace(/"/g, '""') + '"'
+  }
+  return text
+}
+
+module.exports = {
+  getExportOptions,
+  createCsvTransform,
+  createNdjsonTransform
+}
@@ -1,5 +1,15 @@
 const DB = require('./database')
 const Statement = require('./statement')
+const { decodeQueryRow } = require('./codecs')
+const { startTrace } = require('./trace')
+const { runCall } = require('./calls')
+const { resolveQuery } = require('./sql')
+const { getExportOptions, createCsvTransform, createNdjsonTransform } = require('./export')
+const { Readable, Transform } = require('stream')
+const pipeline = require('util').promisify(require('stream').pipeline)
+const path = require('path')
+const fs = require('fs')
+const mkdirp = require('mkdirp')
 
 /**
  * Similar to .query(), but instead of returning every row together, an iterator is returned so you can retrieve the rows one by one.
@@ -10,34 +20,129 @@ const Statement = require('./statement')
  * @returns {Iterator}
  */
 DB.prototype.queryIterate = async function * (query, ...bindParameters) {
-  const statement = await this.prepare(query)
-  yield * statement.iterate(...bindParameters)
-  await statement.finalize()
+  // with a pool the reader is used until the iteration is finished
+  const readPool = this.readPool
+  const db = readPool ? await readPool.acquire() : await this.connection()
+  try {
+    const [sql, parameters] = resolveQuery(query, bindParameters)
+    const statement = await Statement.prepare(this, db, sql)
+    try {
+      for await (const row of statement.iterate(...parameters)) {
+        yield decodeQueryRow(this.codecs, row)
+      }
+    } finally {
+      // also if the loop was left early or threw
+      await statement.finalize()
+    }
+  } finally {
+    if (readPool) {
+      readPool.release(db)
+    }
+  }
 }
 
-Statement.prototype.iterate = async function * (...params) {
-  const rows = []
-  let loop = true
-  let resolveCallback = () => {}
-  this.orgStatement.each(...params, (err, row) => {
-    if (err) {
-      throw new Error(err)
+/**
+ * Returns the rows of a query as a Readable stream in object mode. The rows are read while the stream is consumed,
+ * so the backpressure of the consumer is respected. Destroying the stream finalizes the statement.
+ *
+ * @example DB().queryStream('SELECT * FROM users').pipe(transform)
+ * @param {Object} query the SQL-Query that should be run. Can contain placeholders for bind parameters.
+ * @param {any} bindParameters You can specify bind parameters
+ * @returns {Readable}
+ */
+DB.prototype.queryStream = function (query, ...bindParameters) {
+  return Readable.from(this.queryIterate(query, ...bindParameters), { objectMode: true })
+}
+
+/**
+ * Writes the rows of a query as CSV into a stream or file. Buffers are written as base64 or hex, dates as ISO strings
+ * and objects as JSON. The writable is ended when all rows are written.
+ *
+ * @example await DB().exportCsv('SELECT * FROM users WHERE active = ?', [1], res, { delimiter: ';' })
+ * @param {String} query the SQL-Query that should be run
+ * @param {Array} bindParameters optional. The bind parameters of the query
+ * @param {Writable|String} writable the stream or the path of the file
+ * @param {Object} options optional.
+ *   `columns`: array of the columns that are written. Default: the columns of the first row
+ *   `header`: write the names of the columns first. Default: true
+ *   `delimiter`: Default: ','
+ *   `blobEncoding`: 'base64' (default) or 'hex'
+ * @returns {Integer} the number of written rows
+ */
+DB.prototype.exportCsv = async function (query, bindParameters, writable, options) {
+  return exportRows(this, query, bindParameters, writable, createCsvTransform(getExportOptions(options, 'exportCsv')))
+}
+
+/**
+ * Writes the rows of a query as newline delimited JSON into a stream or file. Buffers are written as base64 or hex strings.
+ * The writable is ended when all rows are written.
+ *
+ * @param {String} query the SQL-Query that should be run
+ * @param {Array} bindParameters optional. The bind parameters of the query
+ * @param {Writable|String} writable the stream or the path of the file
+ * @param {Object} options optional. `columns` and `blobEncoding`: the same as for exportCsv
+ * @returns {Integer} the number of written rows
+ */
+DB.prototype.exportNdjson = async function (query, bindParameters, writable, options) {
+  return exportRows(this, query, bindParameters, writable, createNdjsonTransform(getExportOptions(options, 'exportNdjson')))
+}
+
+async function exportRows (db, query, bindParameters = [], writable, transform) {
+  if (!writable) {
+    throw new Error('Writable is missing for the export commands of DB()')
+  }
+  if (typeof writable === 'string') {
+    mkdirp.sync(path.dirname(path.resolve(process.cwd(), writable)))
+    writable = fs.createWriteStream(writable)
+  }
+  let rows = 0
+  const count = new Transform({
+    objectMode: true,
+    transform (row, encoding, callback) {
+      rows++
+      callback(null, row)
     }
-    rows.push(row)
-    resolveCallback()
-  }, () => {
-    loop = false
-    resolveCallback()
   })
-  // eslint-disable-next-line no-unmodified-loop-condition
-  while (loop || rows.length) {
-    if (!rows.length) {
-      await (new Promise(resolve => (resolveCallback = resolve)))
-      resolveCallback = () => {}
+  await pipeline(db.queryStream(query, ...bindParameters), count, transform, writable)
+  return rows
+}
+
+/**
+ * Steps through the rows of the statement. A row is only read when the consumer asks for it, so slow consumers
+ * don't fill the memory. Errors of SQLite are thrown to the consumer. The statement is reset when the iteration
+ * ends, also if the loop was left early, so it can be used again.
+ *
+ * @param {any} params optional bind parameters
+ * @returns {AsyncIterator}
+ */
+Statement.prototype.iterate = async function * (...params) {
+  const finish = startTrace(this.owner, this.orgStatement.sql, params, 'each')
+  let count = 0
+  let error
+  try {
+    if (!params.length) {
+      // binding parameters resets the statement by itself
+      await this.reset()
     }
-    if (rows.length) {
-      yield rows.shift()
+    for (;;) {
+      // without parameters get returns the next row
+      const next = () => new Promise((resolve, reject) => {
+        this.orgStatement.get(...(count ? [] : params), (err, row) => (err ? reject(err) : resolve(row)))
+      })
+      // on the connection of the owner every row waits while a transaction of the owner runs
+      const row = await (this.shared ? runCall(this.owner, next) : next())
+      if (row === undefined) {
+        break
+      }
+      count++
+      yield row
     }
+  } catch (e) {
+    error = e
+    throw e
+  } finally {
+    finish(error, count)
+    await this.reset().catch(() => {})
   }
 }
 
@@ -0,0 +1,37 @@
+/**
+ * Quotes the name of a column or schema with backticks. Backticks in the name are escaped
+ *
+ * @param {String} name
+ * @returns {String}
+ */
+function quoteIdentifier (name) {
+  return '`' + String(name).replace(/`/g, '``') + '`'
+}
+
+/**
+ * Splits a table name like 'archive.Setting' into the schema and the table. Without a dot the schema is undefined
+ *
+ * @param {String} table
+ * @returns {Array} [schema, table]
+ */
+function splitTable (table) {
+  const index = String(table).indexOf('.')
+  return index === -1 ? [undefined, String(table)] : [table.slice(0, index), table.slice(index + 1)]
+}
+
+/**
+ * Quotes a table name that can be qualified with the schema, f.e. 'archive.Setting' becomes `archive`.`Setting`
+ *
+ * @param {String} table
+ * @returns {String}
+ */
+function quoteTable (table) {
+  const [schema, name] = splitTable(table)
+  return (schema === undefined ? '' : quoteIdentifier(schema) + '.') + quoteIdentifier(name)
+}
+
+module.exports = {
+  quoteIdentifier,
+  splitTable,
+  quoteTable
+}
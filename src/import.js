@@ -0,0 +1,169 @@
+/**
+ * Parses CSV (RFC 4180) piece by piece, so a file doesn't have to fit into the memory. Fields can be quoted with
+ * double quotes and then contain the delimiter, line breaks and doubled quotes. Unquoted empty fields are null,
+ * empty lines are skipped.
+ */
+class CsvParser {
+  /**
+   * @param {String} delimiter a single character
+   */
+  constructor (delimiter) {
+    this.delimiter = delimiter
+    this.line = 1
+    this.records = []
+    this.values = []
+    this.recordLine = 1
+    this.field = ''
+    this.quoted = false
+    // 'start' of a field, 'unquoted', 'quoted' or 'quote' after a quote inside of a quoted field
+    this.state = 'start'
+    this.started = false
+  }
+
+  /**
+   * @param {String} text the next piece of the file
+   * @returns {Array} the records that are complete now, as `{ values, line }` with the line where the record starts
+   */
+  write (text) {
+    if (!this.started) {
+      this.started = true
+      // byte order mark
+      text = text.replace(/^\uFEFF/, '')
+    }
+    for (const char of text) {
+      if (this.state === 'quoted') {
+        if (char === '"') {
+          this.state = 'quote'
+        } else {
+          if (char === '\n') {
+            this.line++
+          }
+          this.field += char
+        }
+        continue
+      }
+      if (this.state === 'quote') {
+        if (char === '"') {
+          // a doubled quote
+          this.field += char
+          this.state = 'quoted'
+          continue
+        }
+        this.state = 'unquoted'
+      }
+      if (char === this.delimiter) {
+        this.endField()
+      } else if (char === '\n') {
+        this.endRecord()
+        this.line++
+        this.recordLine = this.line
+      } else if (char === '\r') {
+        // part of \r\n
+      } else if (char === '"' && this.state === 'start') {
+        this.quoted = true
+        this.state = 'quoted'
+      } else {
+        this.field += char
+        this.state = 'unquoted'
+      }
+    }
+    return this.records.splice(0)
+  }
+
+  /**
+   * @returns {Array} the last record, if the file doesn't end with a line break
+   */
+  end () {
+    if (this.state === 'quoted') {
+      throw new Error(`The quote of the field in line ${this.line} is not closed`)
+    }
+    this.endRecord()
+    return this.records.splice(0)
+  }
+
+  endField () {
+    this.values.push(this.quoted || this.field !== '' ? this.field : null)
+    this.field = ''
+    this.quoted = false
+    this.state = 'start'
+  }
+
+  endRecord () {
+    this.endField()
+    if (this.values.length > 1 || this.values[0] !== null) {
+      this.records.push({ values: this.values, line: this.recordLine })
+    }
+    this.values = []
+  }
+}
+
+/**
+ * Splits NDJSON (one JSON value per line) piece by piece into its lines. The lines are parsed by the caller, so a line
+ * that isn't valid JSON is an error of this line only. Empty lines are skipped.
+ */
+class NdjsonParser {
+  constructor () {
+    this.line = 1
+    this.text = ''
+    this.started = false
+  }
+
+  /**
+   * @param {String} text the next piece of the file
+   * @returns {Array} the lines that are complete now, as `{ text, line }`
+   */
+  write (text) {
+    if (!this.started) {
+      this.started = true
+      // byte order mark
+      text = text.replace(/^\uFEFF/, '')
+    }
+    const lines = (this.text + text).split('\n')
+    this.text = lines.pop()
+    return lines.map((line) => this.record(line)).filter(Boolean)
+  }
+
+  /**
+   * @returns {Array} the last line, if the file doesn't end with a line break
+   */
+  end () {
+    const record = this.record(this.text)
+    this.text = ''
+    return record ? [record] : []
+  }
+
+  record (text) {
+    const line = this.line++
+    // part of \r\n
+    text = text.replace(/\r$/, '')
+    return text.trim() ? { text, line } : null
+  }
+}
+
+/**
+ * Reads a stream and waits for the async function `consume` after every chunk, so the stream is only read as fast as
+ * the chunks are handled. The stream is destroyed if `consume` fails.
+ *
+ * @param {Readable} readable
+ * @param {Function} consume async function that gets the chunk
+ * @returns {Promise} resolves when the stream ended
+ */
+function consumeStream (readable, consume) {
+  return new Promise((resolve, reject) => {
+    readable.on('error', reject)
+    readable.on('end', resolve)
+    readable.on('data', (chunk) => {
+      readable.pause()
+      consume(chunk).then(() => readable.resume(), (err) => {
+        readable.destroy()
+        reject(err)
+      })
+    })
+  })
+}
+
+module.exports = {
+  CsvParser,
+  NdjsonParser,
+  consumeStream
+}
@@ -0,0 +1,171 @@
+const { quoteIdentifier, splitTable } = require('./identifier')
+const { callConnection } = require('./trace')
+const { runCall } = require('./calls')
+
+/**
+ * Reads the schema of a database with PRAGMA statements. The results are cached in `db.schemaCache`,
+ * which is cleared for every new connection and after statements that can change the schema.
+ */
+
+/**
+ * Returns the names of all tables without the internal sqlite_* tables. `schema` is the name of an attached database
+ */
+function tables (db, schema) {
+  return cached(db, `tables:${schema || ''}`, () =>
+    column(db, 'name', `SELECT name FROM ${qualify(schema, 'sqlite_master')} WHERE type = 'table' AND name NOT LIKE 'sqlite_%' ORDER BY name`)
+  )
+}
+
+/**
+ * Returns the names of all views. `schema` is the name of an attached database
+ */
+function views (db, schema) {
+  return cached(db, `views:${schema || ''}`, () =>
+    column(db, 'name', `SELECT name FROM ${qualify(schema, 'sqlite_master')} WHERE type = 'view' ORDER BY name`)
+  )
+}
+
+/**
+ * Returns the columns of a table, for example:
+ *   { name: 'id', type: 'INTEGER', notNull: false, defaultValue: null, primaryKey: 1 }
+ * `primaryKey` is the position of the column in the primary key or 0. `defaultValue` is the SQL-text of the default.
+ * Tables of attached databases are qualified with their schema, f.e. 'archive.Setting'.
+ */
+function columns (db, table) {
+  const [schema, name] = splitTable(table)
+  return cached(db, `columns:${table}`, async () =>
+    (await all(db, `PRAGMA ${qualify(schema, 'table_info')}(${quoteString(name)})`)).map((column) => ({
+      name: column.name,
+      type: column.type,
+      notNull: !!column.notnull,
+      defaultValue: column.dflt_value,
+      primaryKey: column.pk
+    }))
+  )
+}
+
+/**
+ * Returns the indexes of a table, for example:
+ *   { name: 'Setting_index_key', unique: false, origin: 'c', partial: false, columns: ['key'] }
+ * `origin` is 'c' for CREATE INDEX, 'u' for UNIQUE constraints and 'pk' for PRIMARY KEY constraints.
+ */
+function indexes (db, table) {
+  const [schema, name] = splitTable(table)
+  return cached(db, `indexes:${table}`, async () => {
+    const result = []
+    for (const index of await all(db, `PRAGMA ${qualify(schema, 'index_list')}(${quoteString(name)})`)) {
+      result.push({
+        name: index.name,
+        unique: !!index.unique,
+        origin: index.origin,
+        partial: !!index.partial,
+        columns: (await all(db, `PRAGMA ${qualify(schema, 'index_info')}(${quoteString(index.name)})`))
+          .sort((a, b) => Math.sign(a.seqno - b.seqno))
+          .map((column) => column.name)
+      })
+    }
+    return result
+  })
+}
+
+/**
+ * Returns the columns of the primary key of a table that is created WITHOUT ROWID or null for a table with rowid.
+ * The index of the primary key points to the rowid in a table with rowid and contains the whole row otherwise.
+ */
+async function withoutRowidKey (db, table) {
+  const [schema] = splitTable(table)
+  const primaryKey = (await indexes(db, table)).find((index) => index.origin === 'pk')
+  if (!primaryKey) {
+    return null
+  }
+  return cached(db, `withoutRowidKey:${table}`, async () => {
+    const columns = await all(db, `PRAGMA ${qualify(schema, 'index_xinfo')}(${quoteString(primaryKey.name)})`)
+    return columns.some((column) => column.cid === -1) ? null : primaryKey.columns
+  })
+}
+
+/**
+ * Returns the column that is an alias of the rowid (INTEGER PRIMARY KEY) or null. INTEGER PRIMARY KEY DESC is no alias;
+ * like a table WITHOUT ROWID it gets an index for its primary key.
+ */
+async function rowidAlias (db, table) {
+  const primaryKey = (await columns(db, table)).filter((column) => column.primaryKey)
+  if (primaryKey.length !== 1 || String(primaryKey[0].type).toUpperCase() !== 'INTEGER') {
+    return null
+  }
+  return (await indexes(db, table)).some((index) => index.origin === 'pk') ? null : primaryKey[0].name
+}
+
+/**
+ * Returns the foreign keys of a table, for example:
+ *   { id: 0, table: 'Category', from: ['categoryId'], to: ['id'], onUpdate: 'CASCADE', onDelete: 'CASCADE', match: 'NONE' }
+ * Foreign keys with more than one column have more than one entry in `from` and `to`.
+ */
+function foreignKeys (db, table) {
+  const [schema, name] = splitTable(table)
+  return cached(db, `foreignKeys:${table}`, async () => {
+    const result = []
+    for (const reference of await all(db, `PRAGMA ${qualify(schema, 'foreign_key_list')}(${quoteString(name)})`)) {
+      let foreignKey = result.find((x) => x.id === reference.id)
+      if (!foreignKey) {
+        foreignKey = {
+          id: reference.id,
+          table: reference.table,
+          from: [],
+          to: [],
+          onUpdate: reference.on_update,
+          onDelete: reference.on_delete,
+          match: reference.match
+        }
+        result.push(foreignKey)
+      }
+      foreignKey.from[reference.seq] = reference.from
+      foreignKey.to[reference.seq] = reference.to
+    }
+    return result
+  })
+}
+
+async function cached (db, key, load) {
+  if (!db.schemaCache.has(key)) {
+    db.schemaCache.set(key, load())
+  }
+  try {
+    // copy the result, so the cache can't be changed by the caller
+    return JSON.parse(JSON.stringify(await db.schemaCache.get(key)))
+  } catch (e) {
+    db.schemaCache.delete(key)
+    throw e
+  }
+}
+
+/**
+ * Runs the query on the connection of the instance. It waits while a transaction runs, which could change the schema
+ * and roll it back later
+ */
+async function all (db, sql) {
+  const connection = await db.connection()
+  return runCall(db, () => callConnection(db, connection, 'all', sql))
+}
+
+async function column (db, name, sql) {
+  return (await all(db, sql)).map((row) => row[name])
+}
+
+function qualify (schema, name) {
+  return schema ? `${quoteIdentifier(schema)}.${name}` : name
+}
+
+function quoteString (value) {
+  return `'${String(value).replace(/'/g, "''")}'`
+}
+
+module.exports = {
+  tables,
+  views,
+  columns,
+  indexes,
+  foreignKeys,
+  withoutRowidKey,
+  rowidAlias
+}
@@ -0,0 +1,122 @@
+/**
+ * A pool of read-only connections. Connections are opened when they are needed, up to `readers` at the same time,
+ * and closed after they were idle for `idleTimeout` milliseconds.
+ */
+class ReadPool {
+  /**
+   * @param {Function} open async function that opens a new connection
+   * @param {Object} options `readers`: the maximum number of connections. `idleTimeout`: milliseconds until an unused connection is closed
+   * @param {Function} close optional. Function that closes a connection
+   */
+  constructor (open, { readers = 4, idleTimeout = 30000 } = {}, close = (connection) => connection.close(() => {})) {
+    if (!Number.isInteger(readers) || readers < 1) {
+      throw new Error('The number of readers of the pool has to be a positive integer for DB()')
+    }
+    this.open = open
+    this.closeConnection = close
+    this.readers = readers
+    this.idleTimeout = idleTimeout
+    this.idle = []
+    this.waiting = []
+    this.size = 0
+    // connections of an older generation are closed when they are released
+    this.generation = 0
+    this.drained = []
+  }
+
+  async acquire () {
+    for (;;) {
+      const connection = this.idle.pop()
+      if (connection) {
+        clearTimeout(connection.idleTimer)
+        return connection
+      }
+      if (this.size < this.readers) {
+        this.size++
+        const generation = this.generation
+        try {
+          const opened = await this.open()
+          opened.generation = generation
+          return opened
+        } catch (e) {
+          this.shrink()
+          this.wake()
+          throw e
+        }
+      }
+      await new Promise((resolve) => this.waiting.push(resolve))
+    }
+  }
+
+  release (connection) {
+    if (connection.generation !== this.generation) {
+      this.destroy(connection)
+    } else {
+      connection.idleTimer = setTimeout(() => {
+        this.idle = this.idle.filter((x) => x !== connection)
+        this.destroy(connection)
+      }, this.idleTimeout)
+      // idle connections don't keep the process alive
+      connection.idleTimer.unref()
+      this.idle.push(connection)
+    }
+    this.wake()
+  }
+
+  /**
+   * Runs the callback with a connection and releases it afterwards
+   */
+  async use (callback) {
+    const connection = await this.acquire()
+    try {
+      return await callback(connection)
+    } finally {
+      this.release(connection)
+    }
+  }
+
+  /**
+   * Closes the idle connections. Connections in use are closed when they are released
+   */
+  reset () {
+    this.generation++
+    const idle = this.idle
+    this.idle = []
+    idle.forEach((connection) => {
+      clearTimeout(connection.idleTimer)
+      this.destroy(connection)
+    })
+  }
+
+  /**
+   * Closes all connections and waits until the connections in use are released
+   */
+  async close () {
+    this.reset()
+    if (this.size) {
+      await new Promise((resolve) => this.drained.push(resolve))
+    }
+  }
+
+  destroy (connection) {
+    // a failed close can't be handled by anyone; the handle is given up either way
+    this.closeConnection(connection)
+    this.shrink()
+  }
+
+  shrink () {
+    this.size--
+    if (!this.size) {
+      this.drained.splice(0).forEach((resolve) => resolve())
+    }
+  }
+
+  wake () {
+    const resolve = this.waiting.shift()
+    if (resolve) {
+      resolve()
+    }
+  }
+}
+
+module.exports = ReadPool
@@ -0,0 +1,70 @@
+// errors of a lock that another connection holds; the statement had no effect and can be tried again
+const retryableCodes = ['SQLITE_BUSY', 'SQLITE_LOCKED']
+
+/**
+ * Resolves the option `retry`
+ *
+ * @param {Boolean|Object} options `true` for the defaults or
+ *   `attempts`: how often a statement is tried at most. Default: 5
+ *   `delay`: milliseconds to wait before the second attempt. Default: 50
+ *   `factor`: the delay is multiplied by it for every further attempt. Default: 2
+ *   `maxDelay`: the longest wait in milliseconds. Default: 1000
+ *   `jitter`: wait a random time between the half and the full delay, so processes don't retry in lockstep. Default: true
+ * @returns {Object|null} the policy or null if statements are not retried
+ */
+function createRetryPolicy (options) {
+  if (!options) {
+    return null
+  }
+  const policy = Object.assign({ attempts: 5, delay: 50, factor: 2, maxDelay: 1000, jitter: true }, options === true ? {} : options)
+  if (!Number.isInteger(policy.attempts) || policy.attempts < 1) {
+    throw new Error('The attempts of the retry option have to be a positive integer for DB()')
+  }
+  for (const key of ['delay', 'factor', 'maxDelay']) {
+    if (typeof policy[key] !== 'number' || !(policy[key] >= 0)) {
+      throw new Error(`The ${key} of the retry option has to be a number that is not negative for DB()`)
+    }
+  }
+  return policy
+}
+
+/**
+ * Runs a statement and tries it again while it fails with SQLITE_BUSY or SQLITE_LOCKED. Statements inside of
+ * a transaction are never tried again: the transaction could hold a snapshot that can't get the lock anymore.
+ * The last error gets the property `attempts` and the number of attempts in its message.
+ *
+ * @param {DB} db the instance with the policy
+ * @param {Function} execute async function that runs the statement
+ * @returns {any} the result of execute
+ */
+async function withRetry (db, execute) {
+  const policy = db.retryPolicy
+  if (!policy || db.transactionDepth) {
+    return execute()
+  }
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await execute()
+    } catch (err) {
+      if (!retryableCodes.includes(err.code)) {
+        throw err
+      }
+      if (attempt >= policy.attempts) {
+        err.attempts = attempt
+        err.message += ` (after ${attempt} attempt${attempt === 1 ? '' : 's'})`
+        throw err
+      }
+      await new Promise((resolve) => setTimeout(resolve, waitTime(policy, attempt)))
+    }
+  }
+}
+
+function waitTime ({ delay, factor, maxDelay, jitter }, attempt) {
+  const wait = Math.min(maxDelay, delay * Math.pow(factor, attempt - 1))
+  return jitter ? wait / 2 + Math.random() * wait / 2 : wait
+}
+
+module.exports = {
+  createRetryPolicy,
+  withRetry
+}
@@ -0,0 +1,93 @@
+const { quoteTable } = require('./identifier')
+
+/**
+ * A piece of SQL with the parameters for its placeholders. Created by the tag `sql`
+ */
+class SqlFragment {
+  /**
+   * @param {String} text the SQL with ? as placeholders
+   * @param {Array} params the values for the placeholders
+   */
+  constructor (text, params) {
+    this.text = text
+    this.params = params
+  }
+}
+
+/**
+ * Tag for template literals that creates parameterized SQL. The values become placeholders, arrays become lists
+ * of placeholders for IN, fragments of `sql`, `sql.id` and `sql.join` are inserted with their parameters.
+ *
+ * @example DB().query(sql`SELECT * FROM users WHERE id IN ${ids} AND ${sql.id(column)} = ${value}`)
+ * @returns {SqlFragment}
+ */
+function sql (strings, ...values) {
+  let text = strings[0]
+  const params = []
+  values.forEach((value, index) => {
+    text += toSql(value, params) + strings[index + 1]
+  })
+  return new SqlFragment(text, params)
+}
+
+/**
+ * Quotes the name of a table or column. A name with a dot is qualified, f.e. 'u.email' becomes `u`.`email`
+ *
+ * @param {String} name
+ * @returns {SqlFragment}
+ */
+sql.id = function (name) {
+  if (typeof name !== 'string' || !name) {
+    throw new Error('The name for sql.id of DB() has to be a non-empty string')
+  }
+  return new SqlFragment(quoteTable(name), [])
+}
+
+/**
+ * Joins values or fragments, f.e. for a dynamic list of conditions
+ *
+ * @example sql`SELECT * FROM users WHERE ${sql.join(conditions, ' AND ')}`
+ * @param {Array} values fragments or values that become placeholders
+ * @param {String} separator optional. Default: ', '
+ * @returns {SqlFragment}
+ */
+sql.join = function (values, separator = ', ') {
+  const params = []
+  return new SqlFragment(values.map((value) => toSql(value, params)).join(separator), params)
+}
+
+function toSql (value, params) {
+  if (value instanceof SqlFragment) {
+    params.push(...value.params)
+    return value.text
+  }
+  if (Array.isArray(value)) {
+    // SQLite takes an empty list, so IN matches no row and NOT IN every row like the operators of where objects
+    return '(' + value.map((item) => toSql(item, params)).join(', ') + ')'
+  }
+  params.push(value)
+  return '?'
+}
+
+/**
+ * Returns the SQL and the parameters of a query that can be a string with bind parameters or a fragment of `sql`
+ *
+ * @param {String|SqlFragment} query
+ * @param {Array} bindParameters
+ * @returns {Array} [sql, bindParameters]
+ */
+function resolveQuery (query, bindParameters = []) {
+  if (!(query instanceof SqlFragment)) {
+    return [query, bindParameters]
+  }
+  if (bindParameters.length) {
+    throw new Error('A query of sql`...` of DB() has its parameters already; pass them inside of the template')
+  }
+  return [query.text, query.params]
+}
+
+module.exports = {
+  sql,
+  SqlFragment,
+  resolveQuery
+}
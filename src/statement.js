@@ -1,6 +1,35 @@
+const { trace } = require('./trace')
+const { withRetry } = require('./retry')
+const { runCall } = require('./calls')
+
 class Statement {
-  constructor (orgStatement) {
+  /**
+   * @param {sqlite3.Statement} orgStatement
+   * @param {DB} owner optional. The instance that emits the events of the statement
+   * @param {Boolean} shared optional. The statement runs on the connection of the owner, so its calls wait while
+   *   a transaction of the owner runs
+   */
+  constructor (orgStatement, owner, shared = false) {
     this.orgStatement = orgStatement
+    this.owner = owner
+    this.shared = shared
+  }
+
+  /**
+   * Prepares a statement on a connection of sqlite3
+   *
+   * @param {DB} owner the instance that emits the events of the statement
+   * @param {sqlite3.Database} db
+   * @param {String} sql
+   * @param {any} params optional bind parameters
+   * @returns {Promise<Statement>}
+   */
+  static prepare (owner, db, sql, ...params) {
+    return new Promise((resolve, reject) => {
+      const orgStatement = db.prepare(sql, ...params, (err) => {
+        err ? reject(err) : resolve(new Statement(orgStatement, owner, db === owner.db))
+      })
+    })
   }
 
   bind (...params) {
@@ -28,27 +57,29 @@ class Statement {
   }
 
   run (...params) {
-    return new Promise((resolve, reject) => {
+    const run = () => trace(this.owner, this.orgStatement.sql, params, 'run', () => new Promise((resolve, reject) => {
       this.orgStatement.run(...params, function (err) {
         err ? reject(err) : resolve(this)
       })
-    })
+    }))
+    // every attempt waits again while a transaction of the owner runs
+    return this.owner ? withRetry(this.owner, () => runStatement(this, run)) : run()
   }
 
   get (...params) {
-    return new Promise((resolve, reject) => {
+    return runStatement(this, () => trace(this.owner, this.orgStatement.sql, params, 'get', () => new Promise((resolve, reject) => {
       this.orgStatement.get(...params, (err, row) => {
         err ? reject(err) : resolve(row)
       })
-    })
+    })))
   }
 
   all (...params) {
-    return new Promise((resolve, reject) => {
+    return runStatement(this, () => trace(this.owner, this.orgStatement.sql, params, 'all', () => new Promise((resolve, reject) => {
       this.orgStatement.all(...params, (err, rows) => {
         err ? reject(err) : resolve(rows)
       })
-    })
+    })))
   }
 
   each (...params) {
@@ -56,12 +87,19 @@ class Statement {
     if (typeof params[params.length - 1] === 'function') {
       callback = params.pop()
     }
-    return new Promise((resolve, reject) => {
+    return runStatement(this, () => trace(this.owner, this.orgStatement.sql, params, 'each', () => new Promise((resolve, reject) => {
       this.orgStatement.each(...params, (err, row) => err ? reject(err) : callback(row), (err, count) => {
         err ? reject(err) : resolve(count)
       })
-    })
+    })))
   }
 }
 
+/**
+ * Runs a call of a statement. On the connection of its owner it waits while a transaction of the owner runs
+ */
+function runStatement (statement, execute) {
+  return statement.shared ? runCall(statement.owner, execute) : execute()
+}
+
 module.exports = Statement
@@ -0,0 +1,98 @@
+const { performance } = require('perf_hooks')
+
+// what the events tell about the result of the different kinds of statements
+const summaries = {
+  all: (rows) => ({ rows: rows.length }),
+  get: (row) => ({ rows: row ? 1 : 0 }),
+  each: (count) => ({ rows: count }),
+  run: (result) => ({ changes: result.changes }),
+  exec: () => ({})
+}
+
+/**
+ * Runs a statement and emits the event `query` of the instance and `slowQuery`, if it took longer than
+ * the option `slowQueryThresholdMs`. The events get `{ sql, params, durationMs, rows, changes, error }`.
+ *
+ * @param {DB} db the instance that emits the events
+ * @param {String} sql
+ * @param {Array} params the bind parameters
+ * @param {String} kind 'all', 'get', 'each', 'run' or 'exec'
+ * @param {Function} execute async function that runs the statement
+ * @returns {any} the result of execute
+ */
+async function trace (db, sql, params, kind, execute) {
+  const finish = startTrace(db, sql, params, kind)
+  let result
+  try {
+    result = await execute()
+  } catch (e) {
+    finish(e)
+    throw e
+  }
+  finish(undefined, result)
+  return result
+}
+
+/**
+ * Starts to measure a statement that doesn't run in one call, like an iteration
+ *
+ * @param {DB} db the instance that emits the events
+ * @param {String} sql
+ * @param {Array} params the bind parameters
+ * @param {String} kind 'all', 'get', 'each', 'run' or 'exec'
+ * @returns {Function} emits the events; gets the error or undefined and the result
+ */
+function startTrace (db, sql, params, kind) {
+  if (!db || (!db.listenerCount('query') && !db.listenerCount('slowQuery'))) {
+    return () => {}
+  }
+  const start = performance.now()
+  return (error, result) => {
+    const event = {
+      sql,
+      params: redact(db, sql, params),
+      durationMs: performance.now() - start,
+      rows: undefined,
+      changes: undefined,
+      error,
+      ...(error ? {} : summaries[kind](result))
+    }
+    db.emit('query', event)
+    const threshold = db.options.slowQueryThresholdMs
+    if (typeof threshold === 'number' && event.durationMs >= threshold) {
+      db.emit('slowQuery', event)
+    }
+  }
+}
+
+/**
+ * Calls `run`, `all`, `get` or `exec` of a connection of sqlite3 and emits the events of the instance
+ *
+ * @param {DB} db the instance that emits the events
+ * @param {sqlite3.Database} connection
+ * @param {String} method 'run', 'all', 'get' or 'exec'
+ * @param {String} sql
+ * @param {Array} params optional. The bind parameters
+ * @returns {any} the rows, the row, the result of run or undefined for exec
+ */
+function callConnection (db, connection, method, sql, params = []) {
+  return trace(db, sql, params, method, () => new Promise((resolve, reject) =>
+    connection[method](sql, ...params, function (err, result) {
+      err ? reject(err) : resolve(method === 'run' ? this : result)
+    })
+  ))
+}
+
+function redact (db, sql, params) {
+  const { redactParams } = db.options
+  if (typeof redactParams === 'function') {
+    return redactParams(params, sql)
+  }
+  return redactParams ? params.map(() => '[redacted]') : params
+}
+
+module.exports = {
+  trace,
+  startTrace,
+  callConnection
+}
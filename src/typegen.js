@@ -0,0 +1,116 @@
+const { builtInCodecs } = require('./codecs')
+
+// types of the decoded values of the codecs; custom codecs are 'any'
+const codecTypes = new Map([
+  [builtInCodecs.json, 'any'],
+  [builtInCodecs.boolean, 'boolean'],
+  [builtInCodecs.date, 'Date'],
+  [builtInCodecs.buffer, 'Buffer']
+])
+
+/**
+ * Creates the content of a TypeScript declaration file with one interface per table of the database.
+ * The types of the columns follow the type affinity rules of SQLite (https://www.sqlite.org/datatype3.html)
+ * or the codec of the column.
+ *
+ * @param {DB} db the instance to read the schema from. It's migrated before, if its options say so
+ * @param {Object} options optional.
+ *   `moduleName`: the module to import the types of the library from. Default: 'sqlite3-helper'
+ *   `exclude`: names of tables that are left out. Default: the migrations table
+ * @returns {String}
+ */
+async function generateTypes (db, { moduleName = 'sqlite3-helper', exclude } = {}) {
+  await db.connection()
+  if (!exclude) {
+    exclude = [(typeof db.options.migrate === 'object' && db.options.migrate.table) || 'migrations']
+  }
+
+  const tables = (await db.tables()).filter((table) => !exclude.includes(table))
+  const interfaces = []
+  const tableMap = []
+  for (const table of tables) {
+    const interfaceName = createInterfaceName(table)
+    const codecs = db.codecs.tables.get(table)
+    const properties = (await db.columns(table)).map((column) => {
+      const codec = codecs && codecs.get(column.name)
+      const type = codec ? codecTypes.get(codec) || 'any' : mapType(column.type)
+      const nullable = type !== 'any' && !column.notNull && !(column.primaryKey && getAffinity(column.type) === 'INTEGER')
+      return `    ${quoteProperty(column.name)}: ${type}${nullable ? ' | null' : ''};`
+    })
+    interfaces.push(`export interface ${interfaceName} {\n${properties.join('\n')}\n}\n`)
+    tableMap.push(`    ${quoteProperty(table)}: ${interfaceName};`)
+  }
+
+  return `// Generated by sqlite3-helper. Do not edit.
+import { DBInstance, WhereClause, SelectOptions } from ${JSON.stringify(moduleName)};
+
+${interfaces.join('\n')}
+/** Maps the name of every table to the type of its rows */
+export interface Tables {
+${tableMap.join('\n')}
+}
+
+export type TableName = keyof Tables;
+
+type TypedMethods = "insert" | "replace" | "upsert" | "update" | "delete" | "select" | "selectFirst";
+
+/** DBInstance with CRUD-functions that are typed by the name of the table */
+export type TypedDBInstance = Omit<DBInstance, TypedMethods> & {
+    insert<Table extends TableName>(table: Table, data: Partial<Tables[Table]> | Partial<Tables[Table]>[], whiteList?: (keyof Tables[Table] & string)[]): Promise<number>;
+    replace<Table extends TableName>(table: Table, data: Partial<Tables[Table]> | Partial<Tables[Table]>[], whiteList?: (keyof Tables[Table] & string)[]): Promise<number>;
+    upsert<Table extends TableName>(
+        table: Table,
+        data: Partial<Tables[Table]> | Partial<Tables[Table]>[],
+        conflictColumns: (keyof Tables[Table] & string) | (keyof Tables[Table] & string)[],
+        whiteList?: (keyof Tables[Table] & string)[] | { whiteList?: (keyof Tables[Table] & string)[]; update?: (keyof Tables[Table] & string)[] }
+    ): Promise<number>;
+    update<Table extends TableName>(table: Table, data: Partial<Tables[Table]>, where: WhereClause<Tables[Table]>, whiteList?: (keyof Tables[Table] & string)[]): Promise<number>;
+    delete<Table extends TableName>(table: Table, where: WhereClause<Tables[Table]>): Promise<number>;
+    select<Table extends TableName>(table: Table, options?: SelectOptions<Tables[Table]>): Promise<Tables[Table][]>;
+    selectFirst<Table extends TableName>(table: Table, options?: SelectOptions<Tables[Table]>): Promise<Tables[Table] | undefined>;
+};
+`
+}
+
+/**
+ * Returns the type affinity of a declared column type
+ * @see https://www.sqlite.org/datatype3.html#determination_of_column_affinity
+ */
+function getAffinity (declaredType) {
+  const type = (declaredType || '').toUpperCase()
+  if (type.includes('INT')) return 'INTEGER'
+  if (/CHAR|CLOB|TEXT/.test(type)) return 'TEXT'
+  if (type.includes('BLOB') || !type) return 'BLOB'
+  if (/REAL|FLOA|DOUB/.test(type)) return 'REAL'
+  return 'NUMERIC'
+}
+
+function mapType (declaredType) {
+  switch (getAffinity(declaredType)) {
+    case 'TEXT':
+      return 'string'
+    case 'BLOB':
+      // columns without a declared type take every value as it is
+      return declaredType ? 'Buffer' : 'any'
+    case 'NUMERIC':
+      // values that don't look like numbers are stored as text
+      return 'number | string'
+    default:
+      return 'number'
+  }
+}
+
+function createInterfaceName (table) {
+  const name = table
+    .split(/[^A-Za-z0-9]+/)
+    .filter((part) => part)
+    .map((part) => part[0].toUpperCase() + part.slice(1))
+    .join('')
+  return `${/^[0-9]/.test(name) ? '_' : ''}${name}Row`
+}
+
+function quoteProperty (name) {
+  return /^[A-Za-z_$][A-Za-z0-9_$]*$/.test(name) ? name : JSON.stringify(name)
+}
+
+module.exports = generateTypes
@@ -0,0 +1,165 @@
+const { quoteIdentifier } = require('./identifier')
+const { SqlFragment } = require('./sql')
+
+const operators = {
+  eq: '=',
+  ne: '!=',
+  gt: '>',
+  gte: '>=',
+  lt: '<',
+  lte: '<=',
+  like: 'LIKE',
+  notLike: 'NOT LIKE',
+  glob: 'GLOB',
+  notGlob: 'NOT GLOB'
+}
+const patternOperators = ['like', 'notLike', 'glob', 'notGlob']
+
+/**
+ * Creates the where part of a query. `where` can be:
+ *
+ *   - an array with a string and the replacements for ? after that. F.e. ['id > ? && name = ?', id, name]
+ *   - a fragment of the tag `sql`. F.e. sql`id > ${id} AND name = ${name}`
+ *   - an object with key values. F.e. {id: params.id}. The values can be
+ *       - null: `IS NULL`
+ *       - an array: `IN (...)`
+ *       - an object with operators: {eq, ne, gt, gte, lt, lte, like, notLike, glob, notGlob, in, notIn, between}.
+ *         F.e. {age: {gt: 18, lte: 65}, name: {like: 'a%'}}. `eq: null` and `ne: null` become `IS NULL` and `IS NOT NULL`
+ *       - anything else: `= ?`. Values that are 'undefined' are filtered
+ *     The keys `$or` and `$and` take an array of such objects, f.e. {$or: [{deleted: null}, {deleted: {gt: now}}]}
+ *   - anything else is an ID that will be translated to ['id = ?', id]
+ *
+ * @param {String|Array|Object} where
+ * @param {String} command name of the command for the error messages
+ * @param {Boolean} required optional. If false, an object without conditions returns null instead of throwing. Default: true
+ * @param {Function} encode optional. Called with the column and the value for every value of an object, f.e. to apply codecs.
+ *   Patterns of like and glob are not encoded
+ * @returns {Array|null} the where term and the parameters for the placeholders after that
+ */
+function createWhere (where, command, required = true, encode = (column, value) => value) {
+  if (Array.isArray(where)) {
+    return where
+  }
+  if (where instanceof SqlFragment) {
+    return [where.text, ...where.params]
+  }
+  if (where && typeof where === 'object') {
+    const condition = createCondition(where, encode)
+    if (!condition) {
+      if (!required) {
+        return null
+      }
+      throw new Error(`Where is not constructed for the ${command} command of DB()`)
+    }
+    return [condition.sql, ...condition.parameter]
+  }
+  return ['id = ?', where]
+}
+
+function createCondition (where, encode) {
+  const sqlBuilder = []
+  const parameter = []
+  const add = (condition) => {
+    if (condition) {
+      sqlBuilder.push(condition.sql)
+      parameter.push(...condition.parameter)
+    }
+  }
+
+  for (const key of Object.keys(where)) {
+    const value = where[key]
+    if (value === undefined) {
+      continue
+    }
+    if (key === '$or' || key === '$and') {
+      if (!Array.isArray(value)) {
+        throw new Error(`The value of ${key} in the where clause has to be an array`)
+      }
+      const conditions = value.map((condition) => createCondition(condition, encode)).filter((condition) => condition)
+      add(joinConditions(conditions, key === '$or' ? 'OR' : 'AND'))
+    } else {
+      add(createColumnCondition(key, value, encode))
+    }
+  }
+  if (!sqlBuilder.length) {
+    return null
+  }
+  return {
+    sql: sqlBuilder.join(' AND '),
+    parameter
+  }
+}
+
+function joinConditions (conditions, joiner) {
+  if (!conditions.length) {
+    return null
+  }
+  return {
+    sql: '(' + conditions.map((condition) => `(${condition.sql})`).join(` ${joiner} `) + ')',
+    parameter: conditions.reduce((parameter, condition) => [...parameter, ...condition.parameter], [])
+  }
+}
+
+function createColumnCondition (column, value, encode) {
+  const identifier = quoteIdentifier(column)
+  const encodeAll = (values) => values.map((v) => encode(column, v))
+  if (value === null) {
+    return { sql: `${identifier} IS NULL`, parameter: [] }
+  }
+  if (Array.isArray(value)) {
+    return createInCondition(identifier, 'IN', encodeAll(value))
+  }
+  if (!isOperatorObject(value)) {
+    return { sql: `${identifier} = ?`, parameter: [encode(column, value)] }
+  }
+
+  const conditions = []
+  for (const operator of Object.keys(value)) {
+    const operand = value[operator]
+    if (operand === undefined) {
+      continue
+    }
+    if (operator === 'in' || operator === 'notIn') {
+      if (!Array.isArray(operand)) {
+        throw new Error(`The value of ${operator} for ${column} in the where clause has to be an array`)
+      }
+      conditions.push(createInCondition(identifier, operator === 'in' ? 'IN' : 'NOT IN', encodeAll(operand)))
+    } else if (operator === 'between') {
+      if (!Array.isArray(operand) || operand.length !== 2) {
+        throw new Error(`The value of between for ${column} in the where clause has to be an array with two values`)
+      }
+      conditions.push({ sql: `${identifier} BETWEEN ? AND ?`, parameter: encodeAll(operand) })
+    } else if (operand === null && (operator === 'eq' || operator === 'ne')) {
+      conditions.push({ sql: `${identifier} IS ${operator === 'ne' ? 'NOT ' : ''}NULL`, parameter: [] })
+    } else if (patternOperators.includes(operator)) {
+      conditions.push({ sql: `${identifier} ${operators[operator]} ?`, parameter: [operand] })
+    } else if (operators[operator]) {
+      conditions.push({ sql: `${identifier} ${operators[operator]} ?`, parameter: [encode(column, operand)] })
+    } else {
+      throw new Error(`Unknown operator "${operator}" for ${column} in the where clause`)
+    }
+  }
+  if (!conditions.length) {
+    return null
+  }
+  return {
+    sql: conditions.map((condition) => condition.sql).join(' AND '),
+    parameter: conditions.reduce((parameter, condition) => [...parameter, ...condition.parameter], [])
+  }
+}
+
+function createInCondition (identifier, operator, values) {
+  return {
+    sql: `${identifier} ${operator} (${values.map(() => '?').join(',')})`,
+    parameter: values
+  }
+}
+
+/**
+ * Plain objects are operator objects; Dates, Buffers and other instances are values
+ */
+function isOperatorObject (value) {
+  return typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype
+}
+
+module.exports = createWhere
@@ -1,5 +1,9 @@
 const { describe, it, afterEach } = require('mocha')
-const { expect } = require('chai')
+const chai = require('chai')
+const chaiAsPromised = require('chai-as-promised')
+chai.use(chaiAsPromised)
+const { expect } = chai
+
 const DB = require('../src/generators')
 const fs = require('fs')
 const path = require('path')
@@ -102,4 +106,200 @@ describe('Database Insert', function () {
     }], ['type'])).to.be.equal(3)
     expect(await db.queryFirstCell('SELECT type FROM Setting WHERE key = ?', 'test2')).to.equal(0)
   })
+
+  it('can upsert without deleting the existing row', async function () {
+    db = new DB({
+      migrate: {
+        migrationsPath: './test/migrations'
+      }
+    })
+    const rowid = await db.queryFirstCell('SELECT rowid FROM Setting WHERE key = ?', 'test')
+    await db.upsert('Setting', [{
+      key: 'test',
+      value: 'later',
+      type: 1
+    }, {
+      key: 'test2',
+      value: '1234',
+      type: 1
+    }], 'key')
+    expect(await db.query('SELECT rowid, * FROM Setting ORDER BY key')).to.deep.equal([
+      { rowid, key: 'test', value: 'later', type: 1 },
+      { rowid: rowid + 1, key: 'test2', value: '1234', type: 1 }
+    ])
+  })
+
+  it('returns the ID of the upserted row', async function () {
+    db = new DB({
+      migrate: false
+    })
+    await db.exec('CREATE TABLE Item (id INTEGER PRIMARY KEY, k TEXT UNIQUE, name TEXT, type INTEGER DEFAULT 7)')
+    expect(await db.upsert('Item', { k: 'a', name: 'first' }, 'k')).to.be.equal(1)
+    expect(await db.insert('Item', { k: 'b' })).to.be.equal(2)
+    expect(await db.upsert('Item', { k: 'a', name: 'second' }, 'k')).to.be.equal(1)
+    expect(await db.upsert('Item', { k: 'a', name: 'third' }, 'k', { update: [] })).to.be.equal(1)
+    expect(await db.upsert('Item', { k: null, name: 'fourth' }, 'k')).to.be.equal(3)
+    expect(await db.queryColumn('name', 'SELECT name FROM Item ORDER BY id')).to.deep.equal(['second', null, 'fourth'])
+
+    await db.exec('CREATE TABLE Language (code TEXT PRIMARY KEY, name TEXT) WITHOUT ROWID')
+    expect(await db.upsert('Language', { code: 'en', name: 'English' }, 'code')).to.be.equal('en')
+    expect(await db.upsert('Language', { code: 'en', name: 'English (US)' }, 'code')).to.be.equal('en')
+  })
+
+  it('can upsert lines with different columns', async function () {
+    db = new DB({
+      migrate: false
+    })
+    await db.exec('CREATE TABLE Item (id INTEGER PRIMARY KEY, k TEXT UNIQUE, name TEXT, type INTEGER DEFAULT 7)')
+    expect(await db.upsert('Item', [{ k: 'c' }, { k: 'd', id: 99 }, { k: 'c', name: 'changed' }], 'k')).to.be.equal(1)
+    expect(await db.query('SELECT * FROM Item ORDER BY id')).to.deep.equal([
+      { id: 1, k: 'c', name: 'changed', type: 7 },
+      { id: 99, k: 'd', name: null, type: 7 }
+    ])
+    await expect(db.upsert('Item', [], 'k')).to.be.rejectedWith('Data is missing for the upsert command of DB()')
+  })
+
+  it('can upsert with a list of columns to update', async function () {
+    db = new DB({
+      migrate: {
+        migrationsPath: './test/migrations'
+      }
+    })
+    await db.upsert('Setting', { key: 'test', value: 'later', type: 1 }, ['key'], { update: ['type'] })
+    expect(await db.queryFirstRow('SELECT * FROM Setting')).to.deep.equal({ key: 'test', value: 'now', type: 1 })
+
+    await db.upsert('Setting', { key: 'test', value: 'later', type: 2 }, ['key'], { update: [] })
+    expect(await db.queryFirstRow('SELECT * FROM Setting')).to.deep.equal({ key: 'test', value: 'now', type: 1 })
+  })
+
+  it('can upsert with blacklist', async function () {
+    db = new DB({
+      migrate: {
+        migrationsPath: './test/migrations'
+      }
+    })
+    await db.upsertWithBlackList('Setting', { key: 'test', value: 'later', type: 1 }, 'key', ['type'])
+    expect(await db.queryFirstRow('SELECT * FROM Setting')).to.deep.equal({ key: 'test', value: 'later', type: 0 })
+  })
+
+  it('can insert many lines in chunks', async function () {
+    db = new DB({
+      migrate: {
+        migrationsPath: './test/migrations'
+      },
+      maxVariables: 10
+    })
+    const data = Array.from({ length: 20 }, (v, i) => ({ key: `key${i}`, value: `value${i}`, type: 1 }))
+    const ids = await db.insertMany('Setting', data)
+    expect(ids).to.deep.equal(Array.from({ length: 20 }, (v, i) => i + 2))
+    expect(await db.queryColumn('value', 'SELECT value FROM Setting WHERE rowid IN (2, 21)')).to.deep.equal(['value0', 'value19'])
+  })
+
+  it('can insert many lines with different columns', async function () {
+    db = new DB({
+      migrate: {
+        migrationsPath: './test/migrations'
+      }
+    })
+    expect(await db.insertMany('Setting', [
+      { key: 'test2' },
+      { key: 'test3', value: '12345', type: 2 },
+      { type: 3, key: 'test4', value: undefined }
+    ])).to.deep.equal([2, 3, 4])
+    expect(await db.query('SELECT * FROM Setting WHERE key != ? ORDER BY key', 'test')).to.deep.equal([
+      { key: 'test2', value: null, type: 0 },
+      { key: 'test3', value: '12345', type: 2 },
+      { key: 'test4', value: null, type: 3 }
+    ])
+  })
+
+  it('returns the IDs of many lines that have their own IDs', async function () {
+    db = new DB({
+      migrate: false
+    })
+    await db.exec('CREATE TABLE Item (id INTEGER PRIMARY KEY, name TEXT)')
+    expect(await db.insertMany('Item', [{ id: 10, name: 'a' }, { id: 3, name: 'b' }, { name: 'c' }])).to.deep.equal([10, 3, 11])
+    expect(await db.replaceMany('Item', [{ id: 3, name: 'd' }, { name: 'e' }])).to.deep.equal([3, 12])
+    expect(await db.queryColumn('name', 'SELECT name FROM Item ORDER BY id')).to.deep.equal(['d', 'a', 'c', 'e'])
+  })
+
+  it('returns the new IDs of replaced lines', async function () {
+    db = new DB({
+      migrate: {
+        migrationsPath: './test/migrations'
+      }
+    })
+    await db.insertMany('Setting', [{ key: 'test2' }, { key: 'test3' }])
+    expect(await db.replaceMany('Setting', [{ key: 'test', value: 'a' }, { key: 'test4' }, { key: 'test2', value: 'b' }])).to.deep.equal([4, 5, 6])
+    expect(await db.queryColumn('key', 'SELECT key FROM Setting ORDER BY rowid')).to.deep.equal(['test3', 'test', 'test4', 'test2'])
+  })
+
+  it('returns the primary keys of many lines in a table without rowid', async function () {
+    db = new DB({
+      migrate: false
+    })
+    await db.exec('CREATE TABLE Language (code TEXT PRIMARY KEY, name TEXT) WITHOUT ROWID')
+    await db.exec('CREATE TABLE Label (language TEXT, key TEXT, text TEXT, PRIMARY KEY (key, language)) WITHOUT ROWID')
+    expect(await db.insertMany('Language', [{ code: 'en', name: 'English' }, { code: 'de', name: 'German' }])).to.deep.equal(['en', 'de'])
+    expect(await db.replaceMany('Label', [{ language: 'en', key: 'hello', text: 'Hello' }])).to.deep.equal([['hello', 'en']])
+  })
+
+  it('inserts the default values for lines without values', async function () {
+    db = new DB({
+      migrate: {
+        migrationsPath: './test/migrations'
+      }
+    })
+    await db.exec('CREATE TABLE Counter (id INTEGER PRIMARY KEY, count INTEGER DEFAULT 0)')
+    expect(await db.insertMany('Counter', [{}, { count: undefined }, { count: 2 }])).to.deep.equal([1, 2, 3])
+    expect(await db.queryColumn('count', 'SELECT count FROM Counter ORDER BY id')).to.deep.equal([0, 0, 2])
+  })
+
+  it('splits many lines into chunks by the number of their values', async function () {
+    db = new DB({
+      migrate: false
+    })
+    await db.exec('CREATE TABLE Item (id INTEGER PRIMARY KEY, name TEXT, type INTEGER, code TEXT)')
+    const inserts = []
+    db.on('query', ({ sql }) => /^INSERT/.test(sql) && inserts.push(sql))
+    // 1500 values, 333 rows per chunk
+    const data = Array.from({ length: 500 }, (v, i) => ({ name: `name${i}`, type: i, code: `code${i}` }))
+    expect(await db.insertMany('Item', data)).to.deep.equal(Array.from({ length: 500 }, (v, i) => i + 1))
+    expect(inserts).to.have.lengthOf(2)
+    expect(await db.queryFirstCell('SELECT COUNT(1) FROM Item WHERE name = \'name\' || (id - 1)')).to.be.equal(500)
+
+    // with their own IDs; 4 values per row, 249 rows per chunk
+    const own = Array.from({ length: 500 }, (v, i) => ({ id: 2000 - i, name: `own${i}`, type: i, code: null }))
+    expect(await db.insertMany('Item', own)).to.deep.equal(own.map((row) => row.id))
+    expect(inserts).to.have.lengthOf(5)
+  })
+
+  it('inserts the lines of a chunk one by one if their IDs can not be derived', async function () {
+    db = new DB({
+      migrate: {
+        migrationsPath: './test/migrations'
+      }
+    })
+    await db.connection()
+    const inserts = []
+    db.on('query', ({ sql }) => /^REPLACE|^INSERT/.test(sql) && inserts.push(sql))
+    // the second line replaces the first one, so the rowids of the chunk have a gap
+    expect(await db.replaceMany('Setting', [{ key: 'a', value: '1' }, { key: 'a', value: '2' }, { key: 'b', value: '3' }])).to.deep.equal([2, 3, 4])
+    expect(await db.queryColumn('value', 'SELECT value FROM Setting WHERE rowid IN (2, 3, 4) ORDER BY rowid')).to.deep.equal(['2', '3'])
+    expect(inserts).to.have.lengthOf(4)
+
+    await db.exec('CREATE TABLE Item (id INTEGER PRIMARY KEY, name TEXT)')
+    expect(await db.insertMany('Item', [{ id: 10, name: 'a' }, { id: null, name: 'b' }, { id: 3, name: 'c' }])).to.deep.equal([10, 11, 3])
+  })
+
+  it('rolls back all lines if one fails', async function () {
+    db = new DB({
+      migrate: {
+        migrationsPath: './test/migrations'
+      },
+      maxVariables: 2
+    })
+    await expect(db.replaceMany('Setting', [{ key: 'test2' }, { key: 'test3' }, { key: null }])).to.be.rejectedWith(/^SQLITE_CONSTRAINT/)
+    expect(await db.queryFirstCell('SELECT COUNT(1) FROM Setting')).to.be.equal(1)
+  })
 })
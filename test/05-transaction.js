@@ -0,0 +1,170 @@
+/* eslint-disable no-unused-expressions */
+const { describe, it, afterEach } = require('mocha')
+const chai = require('chai')
+const chaiAsPromised = require('chai-as-promised')
+chai.use(chaiAsPromised)
+const { expect } = chai
+
+const DB = require('../src/generators')
+const fs = require('fs')
+const path = require('path')
+let db = null
+
+describe('Database Transactions', function () {
+  afterEach(async () => {
+    db && await db.close()
+    db = null
+    try {
+      fs.unlinkSync(path.resolve(process.cwd(), './data/sqlite3.db'))
+      fs.rmdirSync(path.resolve(process.cwd(), './data'))
+    } catch (e) {}
+  })
+
+  it('commits when the callback resolves', async function () {
+    db = new DB({
+      migrate: {
+        migrationsPath: './test/migrations'
+      }
+    })
+    const result = await db.transaction(async (tx) => {
+      await tx.insert('Setting', { key: 'test2', value: '1234' })
+      await tx.update('Setting', { value: 'later' }, { key: 'test' })
+      return 'done'
+    })
+    expect(result).to.be.equal('done')
+    expect(await db.queryColumn('value', 'SELECT value FROM Setting ORDER BY key')).to.deep.equal(['later', '1234'])
+  })
+
+  it('rolls back when the callback throws', async function () {
+    db = new DB({
+      migrate: {
+        migrationsPath: './test/migrations'
+      }
+    })
+    await expect(db.transaction(async (tx) => {
+      await tx.insert('Setting', { key: 'test2', value: '1234' })
+      throw new Error('stop')
+    })).to.be.rejectedWith('stop')
+    expect(await db.queryFirstCell('SELECT COUNT(1) FROM Setting')).to.be.equal(1)
+  })
+
+  it('rolls back only the savepoint of a failing nested transaction', async function () {
+    db = new DB({
+      migrate: {
+        migrationsPath: './test/migrations'
+      }
+    })
+    await db.transaction(async (tx) => {
+      await tx.insert('Setting', { key: 'test2', value: '1234' })
+      await expect(tx.transaction(async (tx2) => {
+        await tx2.insert('Setting', { key: 'test3', value: '12345' })
+        await tx2.insert('Setting', { key: 'test3', value: 'duplicate' })
+      })).to.be.rejectedWith(/^SQLITE_CONSTRAINT/)
+      await tx.transaction(async (tx2) => {
+        await tx2.insert('Setting', { key: 'test4', value: '123456' })
+      })
+    })
+    expect(await db.queryColumn('key', 'SELECT key FROM Setting ORDER BY key')).to.deep.equal(['test', 'test2', 'test4'])
+  })
+
+  it('lets other calls wait until the transaction is finished', async function () {
+    db = new DB({
+      migrate: {
+        migrationsPath: './test/migrations'
+      }
+    })
+    let started
+    const running = new Promise((resolve) => { started = resolve })
+    const transaction = db.transaction(async (tx) => {
+      await tx.insert('Setting', { key: 'test2', value: '1234' })
+      started()
+      await new Promise((resolve) => setTimeout(resolve, 20))
+      throw new Error('stop')
+    }, { mode: 'immediate' })
+    await running
+    // this call must not see the uncommitted row
+    const count = db.queryFirstCell('SELECT COUNT(1) FROM Setting')
+    await expect(transaction).to.be.rejectedWith('stop')
+    expect(await count).to.be.equal(1)
+  })
+
+  it('keeps the statements of other calls out of the transaction', async function () {
+    db = new DB({
+      migrate: {
+        migrationsPath: './test/migrations'
+      }
+    })
+    const statements = []
+    db.on('query', ({ sql }) => statements.push(sql))
+    const statement = await db.prepare('INSERT INTO Setting (key, value) VALUES (?, ?)')
+    // both calls start in the same tick as the transaction that is rolled back
+    const [written, prepared, transaction] = await Promise.allSettled([
+      db.run("INSERT INTO Setting (key, value) VALUES ('run', '1')"),
+      statement.run('prepared', '2'),
+      db.transaction(async (tx) => {
+        await tx.insert('Setting', { key: 'tx', value: '3' })
+        throw new Error('stop')
+      })
+    ])
+    await statement.finalize()
+    expect(written.value.changes).to.be.equal(1)
+    expect(prepared.value.changes).to.be.equal(1)
+    expect(transaction.reason.message).to.be.equal('stop')
+    expect(await db.queryColumn('key', 'SELECT key FROM Setting ORDER BY key')).to.deep.equal(['prepared', 'run', 'test'])
+    expect(statements.indexOf('BEGIN DEFERRED')).to.be.above(statements.indexOf('INSERT INTO Setting (key, value) VALUES (?, ?)'))
+  })
+
+  it('lets a prepared statement wait until the transaction is finished', async function () {
+    db = new DB({
+      migrate: {
+        migrationsPath: './test/migrations'
+      }
+    })
+    const statement = await db.prepare('INSERT INTO Setting (key, value) VALUES (?, ?)')
+    let started
+    const running = new Promise((resolve) => { started = resolve })
+    const transaction = db.transaction(async (tx) => {
+      await tx.insert('Setting', { key: 'tx', value: '1' })
+      started()
+      await new Promise((resolve) => setTimeout(resolve, 20))
+      throw new Error('stop')
+    })
+    await running
+    const written = statement.run('prepared', '2')
+    await expect(transaction).to.be.rejectedWith('stop')
+    expect((await written).changes).to.be.equal(1)
+    await statement.finalize()
+    expect(await db.queryColumn('key', 'SELECT key FROM Setting ORDER BY key')).to.deep.equal(['prepared', 'test'])
+  })
+
+  it('throws for calls of the instance inside of its own transaction', async function () {
+    db = new DB({
+      migrate: {
+        migrationsPath: './test/migrations'
+      }
+    })
+    const message = 'DB() was called inside of its own transaction or migration and would wait for it forever; use the instance that the callback gets'
+    const statement = await db.prepare('SELECT COUNT(1) AS count FROM Setting')
+    await expect(db.transaction(async () => {
+      await db.query('SELECT 1')
+    })).to.be.rejectedWith(message)
+    await expect(db.transaction(async () => {
+      await statement.get()
+    })).to.be.rejectedWith(message)
+    await expect(db.transaction((tx) => tx.transaction(async () => {
+      await tx.insert('Setting', { key: 'nested', value: '1' })
+    }))).to.be.rejectedWith(message)
+    await db.transaction(async (tx) => {
+      await tx.transaction((tx2) => tx2.insert('Setting', { key: 'tx', value: '1' }))
+    })
+    expect(await statement.get()).to.deep.equal({ count: 2 })
+    await statement.finalize()
+  })
+
+  it('throws on an unknown mode', async function () {
+    db = new DB({
+      migrate: false
+    })
+    await expect(db.transaction(() => {}, { mode: 'later' })).to.be.rejectedWith(/^Unknown mode "LATER"/)
+  })
+})
@@ -0,0 +1,263 @@
+/* eslint-disable no-unused-expressions */
+const { describe, it, beforeEach, afterEach } = require('mocha')
+const chai = require('chai')
+const chaiAsPromised = require('chai-as-promised')
+chai.use(chaiAsPromised)
+const { expect } = chai
+
+const DB = require('../src/generators')
+const fs = require('fs')
+const path = require('path')
+const migrationsPath = './data/migrations'
+let db = null
+
+function writeMigration (filename, content) {
+  fs.writeFileSync(path.resolve(process.cwd(), migrationsPath, filename), content)
+}
+
+describe('Database Migrations', function () {
+  beforeEach(() => {
+    fs.mkdirSync(path.resolve(process.cwd(), migrationsPath), { recursive: true })
+    for (const filename of fs.readdirSync(path.resolve(__dirname, 'migrations'))) {
+      fs.copyFileSync(path.resolve(__dirname, 'migrations', filename), path.resolve(process.cwd(), migrationsPath, filename))
+    }
+  })
+
+  afterEach(async () => {
+    db && await db.close()
+    db = null
+    fs.rmSync(path.resolve(process.cwd(), './data'), { recursive: true, force: true })
+  })
+
+  it('runs javascript migrations in the order of the files', async function () {
+    writeMigration('003-uppercase.js', `
+      module.exports = {
+        async up (db) {
+          const rows = await db.query('SELECT key, value FROM Setting')
+          for (const row of rows) {
+            await db.update('Setting', { value: row.value.toUpperCase() }, { key: row.key })
+          }
+        },
+        async down (db) {
+          await db.run('UPDATE Setting SET value = LOWER(value)')
+        }
+      }
+    `)
+    writeMigration('004-more.sql', "-- Up\nINSERT INTO Setting (key, value) VALUES ('more', 'later');\n-- Down\nDELETE FROM Setting WHERE key = 'more';")
+    db = new DB({ migrate: { migrationsPath } })
+
+    expect(await db.queryColumn('value', 'SELECT value FROM Setting ORDER BY key')).to.deep.equal(['later', 'NOW'])
+    expect(await db.queryColumn('type', 'SELECT type FROM migrations ORDER BY id')).to.deep.equal(['sql', 'sql', 'js', 'sql'])
+  })
+
+  it('rolls back a javascript migration whose file is gone', async function () {
+    writeMigration('003-uppercase.js', `
+      module.exports = {
+        up: (db) => db.run('UPDATE Setting SET value = UPPER(value)'),
+        down: (db) => db.run('UPDATE Setting SET value = LOWER(value)')
+      }
+    `)
+    db = new DB({ migrate: { migrationsPath } })
+    expect(await db.queryFirstCell('SELECT value FROM Setting')).to.be.equal('NOW')
+    await db.close()
+
+    fs.unlinkSync(path.resolve(process.cwd(), migrationsPath, '003-uppercase.js'))
+    db = new DB({ migrate: { migrationsPath } })
+    expect(await db.queryFirstCell('SELECT value FROM Setting')).to.be.equal('now')
+    expect(await db.queryFirstCell('SELECT COUNT(1) FROM migrations')).to.be.equal(2)
+  })
+
+  it('rolls back the whole javascript migration if it fails', async function () {
+    writeMigration('003-fails.js', `
+      module.exports = {
+        async up (db) {
+          await db.run('UPDATE Setting SET value = UPPER(value)')
+          throw new Error('failed migration')
+        },
+        down () {}
+      }
+    `)
+    db = new DB({ migrate: { migrationsPath } })
+    await expect(db.connection()).to.be.rejectedWith('failed migration')
+
+    db = new DB({ migrate: false })
+    expect(await db.queryFirstCell('SELECT value FROM Setting')).to.be.equal('now')
+  })
+
+  it('keeps the calls of the instance out of a migration', async function () {
+    writeMigration('003-fails.js', `
+      module.exports = {
+        async up (db) {
+          await db.run("INSERT INTO Setting (key, value) VALUES ('migration', '1')")
+          global.migrationStarted()
+          await new Promise((resolve) => setTimeout(resolve, 50))
+          throw new Error('failed migration')
+        },
+        down () {}
+      }
+    `)
+    db = new DB({ migrate: false })
+    const running = new Promise((resolve) => { global.migrationStarted = resolve })
+    try {
+      const migrating = db.migrate({ migrationsPath })
+      await running
+      const written = db.run("INSERT INTO Setting (key, value) VALUES ('run', '2')")
+      await expect(migrating).to.be.rejectedWith('failed migration')
+      expect((await written).changes).to.be.equal(1)
+    } finally {
+      delete global.migrationStarted
+    }
+    expect(await db.queryColumn('key', 'SELECT key FROM Setting ORDER BY key')).to.deep.equal(['run', 'test'])
+  })
+
+  it('keeps the calls of the instance out of a rollback', async function () {
+    writeMigration('003-fails.js', `
+      module.exports = {
+        up () {},
+        async down (db) {
+          await db.run("DELETE FROM Setting")
+          global.migrationStarted()
+          await new Promise((resolve) => setTimeout(resolve, 50))
+          throw new Error('failed rollback')
+        }
+      }
+    `)
+    db = new DB({ migrate: { migrationsPath } })
+    await db.connection()
+    const running = new Promise((resolve) => { global.migrationStarted = resolve })
+    try {
+      const rollingBack = db.rollback()
+      await running
+      const written = db.run("INSERT INTO Setting (key, value) VALUES ('run', '2')")
+      await expect(rollingBack).to.be.rejectedWith('failed rollback')
+      expect((await written).changes).to.be.equal(1)
+    } finally {
+      delete global.migrationStarted
+    }
+    expect(await db.queryColumn('key', 'SELECT key FROM Setting ORDER BY key')).to.deep.equal(['run', 'test'])
+    expect(await db.queryFirstCell('SELECT COUNT(1) FROM migrations')).to.be.equal(3)
+  })
+
+  it('throws for calls of the instance inside of a javascript migration', async function () {
+    writeMigration('003-outer.js', `
+      module.exports = {
+        up: () => global.outerDB.query('SELECT 1'),
+        down () {}
+      }
+    `)
+    db = new DB({ migrate: { migrationsPath } })
+    global.outerDB = db
+    try {
+      await expect(db.connection()).to.be.rejectedWith(/^DB\(\) was called inside of its own transaction or migration/)
+    } finally {
+      delete global.outerDB
+    }
+  })
+
+  it('throws if a javascript migration does not export up and down', async function () {
+    writeMigration('003-incomplete.js', 'module.exports = { up () {} }')
+    db = new DB({ migrate: { migrationsPath } })
+    await expect(db.connection()).to.be.rejectedWith("The 003-incomplete.js file does not export an 'up' and a 'down' function.")
+  })
+
+  it('upgrades migration tables of older versions', async function () {
+    db = new DB({ migrate: false })
+    await db.exec(`CREATE TABLE migrations (id INTEGER PRIMARY KEY, name TEXT NOT NULL, up TEXT NOT NULL, down TEXT NOT NULL);
+      CREATE TABLE Setting (key TEXT NOT NULL UNIQUE, value BLOB, type INT NOT NULL DEFAULT 0, PRIMARY KEY(key));
+      INSERT INTO migrations (id, name, up, down) VALUES (1, 'key-value', '', 'DROP TABLE Setting');`)
+    await db.migrate({ migrationsPath })
+
+    expect(await db.queryColumn('type', 'SELECT type FROM migrations ORDER BY id')).to.deep.equal(['sql', 'sql'])
+    expect(await db.queryFirstCell('SELECT value FROM Setting')).to.be.equal('now')
+  })
+
+  it('migrates up and down to a target version', async function () {
+    writeMigration('003-more.sql', "-- Up\nINSERT INTO Setting (key, value) VALUES ('more', 'later');\n-- Down\nDELETE FROM Setting WHERE key = 'more';")
+    db = new DB({ migrate: false })
+    await db.migrate({ migrationsPath, to: 1 })
+    expect(await db.queryFirstCell('SELECT COUNT(1) FROM Setting')).to.be.equal(0)
+
+    await db.migrate({ migrationsPath, to: 3 })
+    expect(await db.queryFirstCell('SELECT COUNT(1) FROM Setting')).to.be.equal(2)
+
+    await db.migrate({ migrationsPath, to: 2 })
+    expect(await db.queryColumn('id', 'SELECT id FROM migrations ORDER BY id')).to.deep.equal([1, 2])
+
+    await db.migrate({ migrationsPath, to: 0 })
+    expect(await db.queryFirstCell("SELECT COUNT(1) FROM sqlite_master WHERE name = 'Setting'")).to.be.equal(0)
+  })
+
+  it('rolls back the last migrations', async function () {
+    db = new DB({ migrate: { migrationsPath } })
+    await db.connection()
+
+    expect(await db.rollback()).to.be.equal(1)
+    expect(await db.queryFirstCell('SELECT COUNT(1) FROM Setting')).to.be.equal(0)
+    expect(await db.rollback(5)).to.be.equal(0)
+    expect(await db.queryFirstCell('SELECT COUNT(1) FROM migrations')).to.be.equal(0)
+  })
+
+  it('lists applied, pending and orphaned migrations', async function () {
+    writeMigration('003-more.sql', "-- Up\nINSERT INTO Setting (key, value) VALUES ('more', 'later');\n-- Down\nDELETE FROM Setting WHERE key = 'more';")
+    db = new DB({ migrate: false })
+    expect(await db.migrationStatus({ migrationsPath })).to.deep.equal({
+      applied: [],
+      pending: [{ id: 1, name: 'key-value', type: 'sql' }, { id: 2, name: 'testvalue', type: 'sql' }, { id: 3, name: 'more', type: 'sql' }],
+      orphaned: []
+    })
+
+    await db.migrate({ migrationsPath, to: 1 })
+    await db.run("INSERT INTO migrations (id, name, up, down) VALUES (7, 'lost', '', '')")
+    expect(await db.migrationStatus({ migrationsPath })).to.deep.equal({
+      applied: [{ id: 1, name: 'key-value', type: 'sql' }],
+      pending: [{ id: 2, name: 'testvalue', type: 'sql' }, { id: 3, name: 'more', type: 'sql' }],
+      orphaned: [{ id: 7, name: 'lost', type: 'sql' }]
+    })
+  })
+
+  it('throws on an invalid target version', async function () {
+    db = new DB({ migrate: false })
+    await expect(db.migrate({ migrationsPath, to: 'latest' })).to.be.rejectedWith('The migration target "latest" is not a valid version')
+  })
+
+  it('throws if an applied migration file was changed', async function () {
+    db = new DB({ migrate: { migrationsPath } })
+    await db.connection()
+    await db.close()
+
+    writeMigration('002-testvalue.sql', "-- Up\nINSERT INTO Setting (key, value) VALUES ('test', 'changed');\n-- Down\nDELETE FROM Setting WHERE key = 'test';")
+    db = new DB({ migrate: { migrationsPath } })
+    await expect(db.connection()).to.be.rejectedWith(/^The migration file 002-testvalue.sql was changed after it was applied/)
+  })
+
+  it('calls a hook if an applied migration file was changed', async function () {
+    db = new DB({ migrate: { migrationsPath } })
+    await db.connection()
+    await db.close()
+
+    const mismatches = []
+    writeMigration('002-testvalue.sql', "-- Up\nINSERT INTO Setting (key, value) VALUES ('test', 'changed');\n-- Down\nDELETE FROM Setting WHERE key = 'test';")
+    db = new DB({ migrate: { migrationsPath, checksumMismatch: 'warn', onChecksumMismatch: (mismatch) => mismatches.push(mismatch) } })
+    expect(await db.queryFirstCell('SELECT value FROM Setting')).to.be.equal('now')
+    expect(mismatches.map(({ id, filename }) => ({ id, filename }))).to.deep.equal([{ id: 2, filename: '002-testvalue.sql' }])
+  })
+
+  it('reapplies a changed migration file', async function () {
+    db = new DB({ migrate: { migrationsPath } })
+    await db.run("UPDATE Setting SET value = 'changed'")
+    await db.close()
+
+    writeMigration('001-key-value.sql', fs.readFileSync(path.resolve(__dirname, 'migrations/001-key-value.sql'), 'utf-8') + '\n')
+    db = new DB({ migrate: { migrationsPath, checksumMismatch: 'reapply' } })
+    expect(await db.queryFirstCell('SELECT value FROM Setting')).to.be.equal('now')
+  })
+
+  it('adds checksums to migrations of older versions', async function () {
+    db = new DB({ migrate: { migrationsPath } })
+    await db.connection()
+    await db.run('UPDATE migrations SET checksum = NULL')
+    await db.migrate()
+
+    expect(await db.queryFirstCell('SELECT COUNT(1) FROM migrations WHERE checksum IS NOT NULL')).to.be.equal(2)
+  })
+})
@@ -0,0 +1,69 @@
+/* eslint-disable no-unused-expressions */
+const { describe, it, afterEach } = require('mocha')
+const { expect } = require('chai')
+const cli = require('../src/cli')
+const DB = require('../src/generators')
+const fs = require('fs')
+const path = require('path')
+
+async function run (...argv) {
+  const output = { stdout: '', stderr: '' }
+  const code = await cli(argv, {
+    stdout: { write: (text) => (output.stdout += text) },
+    stderr: { write: (text) => (output.stderr += text) }
+  })
+  return { code, ...output }
+}
+
+describe('Command Line Interface', function () {
+  afterEach(async () => {
+    fs.rmSync(path.resolve(process.cwd(), './data'), { recursive: true, force: true })
+  })
+
+  it('migrates, shows the status and rolls back', async function () {
+    const options = ['--path', './data/sqlite3.db', '--migrations-path', './test/migrations']
+    expect(await run('migrate', ...options, '--to', '1')).to.deep.equal({ code: 0, stdout: 'Database is at version 1\n', stderr: '' })
+    expect(await run('status', ...options)).to.deep.equal({
+      code: 0,
+      stdout: 'applied  001-key-value.sql\npending  002-testvalue.sql\n',
+      stderr: ''
+    })
+    expect((await run('migrate', ...options)).stdout).to.be.equal('Database is at version 2\n')
+    expect((await run('rollback', '2', ...options)).stdout).to.be.equal('Database is at version 0\n')
+  })
+
+  it('shows the status only of an existing database', async function () {
+    const { code, stdout, stderr } = await run('status', '--path', './data/nope.db', '--migrations-path', './test/migrations')
+    expect({ code, stdout }).to.deep.equal({ code: 1, stdout: '' })
+    expect(stderr).to.be.equal(`DB file doesn't exist: ${path.resolve(process.cwd(), './data/nope.db')}\n`)
+    expect(fs.existsSync(path.resolve(process.cwd(), './data'))).to.be.false
+  })
+
+  it('reads the options from a config file', async function () {
+    fs.mkdirSync(path.resolve(process.cwd(), './data'))
+    fs.writeFileSync(path.resolve(process.cwd(), './data/config.json'), JSON.stringify({
+      path: './data/other.db',
+      migrate: { migrationsPath: './test/migrations', table: 'versions' }
+    }))
+    expect((await run('migrate', '--config', './data/config.json')).code).to.be.equal(0)
+
+    const db = new DB({ path: './data/other.db', migrate: false })
+    expect(await db.queryFirstCell('SELECT COUNT(1) FROM versions')).to.be.equal(2)
+    await db.close()
+  })
+
+  it('creates the next numbered migration-file', async function () {
+    const migrationsPath = './data/migrations'
+    expect((await run('create', 'Add Users', '--migrations-path', migrationsPath)).code).to.be.equal(0)
+    expect((await run('create', 'add-posts', `--migrations-path=${migrationsPath}`)).code).to.be.equal(0)
+
+    expect(fs.readdirSync(path.resolve(process.cwd(), migrationsPath))).to.deep.equal(['001-add-users.sql', '002-add-posts.sql'])
+    expect(fs.readFileSync(path.resolve(process.cwd(), migrationsPath, '001-add-users.sql'), 'utf-8')).to.match(/^-- Up\n[\s\S]*^-- Down\n/m)
+  })
+
+  it('fails on unknown commands', async function () {
+    const { code, stderr } = await run('explode')
+    expect(code).to.be.equal(1)
+    expect(stderr).to.match(/^Unknown command "explode"/)
+  })
+})
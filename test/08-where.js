@@ -0,0 +1,74 @@
+const { describe, it, afterEach } = require('mocha')
+const chai = require('chai')
+const chaiAsPromised = require('chai-as-promised')
+chai.use(chaiAsPromised)
+const { expect } = chai
+
+const DB = require('../src/generators')
+const createWhere = require('../src/where')
+const fs = require('fs')
+const path = require('path')
+let db = null
+
+describe('Where Clauses', function () {
+  afterEach(async () => {
+    db && await db.close()
+    db = null
+    try {
+      fs.unlinkSync(path.resolve(process.cwd(), './data/sqlite3.db'))
+      fs.rmdirSync(path.resolve(process.cwd(), './data'))
+    } catch (e) {}
+  })
+
+  it('keeps arrays and translates IDs', function () {
+    expect(createWhere(['id > ?', 1], 'test')).to.deep.equal(['id > ?', 1])
+    expect(createWhere(5, 'test')).to.deep.equal(['id = ?', 5])
+  })
+
+  it('creates conditions for values, null and arrays', function () {
+    expect(createWhere({ id: [1, 2, 3], deleted: null, name: 'a', ignored: undefined }, 'test')).to.deep.equal([
+      '`id` IN (?,?,?) AND `deleted` IS NULL AND `name` = ?', 1, 2, 3, 'a'
+    ])
+  })
+
+  it('creates conditions for operators', function () {
+    const date = new Date(0)
+    expect(createWhere({
+      age: { gt: 18, lte: 65 },
+      name: { like: 'a%', notIn: ['admin'] },
+      deleted: { ne: null },
+      created: date,
+      score: { between: [1, 2] }
+    }, 'test')).to.deep.equal([
+      '`age` > ? AND `age` <= ? AND `name` LIKE ? AND `name` NOT IN (?) AND `deleted` IS NOT NULL AND `created` = ? AND `score` BETWEEN ? AND ?',
+      18, 65, 'a%', 'admin', date, 1, 2
+    ])
+  })
+
+  it('nests $or and $and', function () {
+    expect(createWhere({
+      type: 1,
+      $or: [{ deleted: null }, { $and: [{ deleted: { gt: 5 } }, { key: 'a' }] }]
+    }, 'test')).to.deep.equal([
+      '`type` = ? AND ((`deleted` IS NULL) OR (((`deleted` > ?) AND (`key` = ?))))', 1, 5, 'a'
+    ])
+  })
+
+  it('throws on empty objects and unknown operators', function () {
+    expect(() => createWhere({ id: undefined }, 'test')).to.throw('Where is not constructed for the test command of DB()')
+    expect(() => createWhere({ id: { near: 1 } }, 'test')).to.throw('Unknown operator "near" for id in the where clause')
+  })
+
+  it('can update and delete with operators', async function () {
+    db = new DB({
+      migrate: {
+        migrationsPath: './test/migrations'
+      }
+    })
+    await db.insert('Setting', [{ key: 'test2', value: null, type: 1 }, { key: 'test3', value: 'x', type: 2 }])
+
+    expect(await db.update('Setting', { type: 5 }, { value: null })).to.be.equal(1)
+    expect(await db.delete('Setting', { $or: [{ key: { like: 'test_' } }, { type: { gte: 5 } }] })).to.be.equal(2)
+    expect(await db.queryColumn('key', 'SELECT key FROM Setting')).to.deep.equal(['test'])
+  })
+})
@@ -0,0 +1,76 @@
+/* eslint-disable no-unused-expressions */
+const { describe, it, beforeEach, afterEach } = require('mocha')
+const chai = require('chai')
+const chaiAsPromised = require('chai-as-promised')
+chai.use(chaiAsPromised)
+const { expect } = chai
+
+const DB = require('../src/generators')
+const fs = require('fs')
+const path = require('path')
+let db = null
+
+describe('Database Select', function () {
+  beforeEach(async () => {
+    db = new DB({
+      migrate: {
+        migrationsPath: './test/migrations'
+      }
+    })
+    await db.insert('Setting', [
+      { key: 'a', value: null, type: 2 },
+      { key: 'b', value: 'x', type: 1 },
+      { key: 'c', value: 'y', type: 2 }
+    ])
+  })
+
+  afterEach(async () => {
+    db && await db.close()
+    db = null
+    try {
+      fs.unlinkSync(path.resolve(process.cwd(), './data/sqlite3.db'))
+      fs.rmdirSync(path.resolve(process.cwd(), './data'))
+    } catch (e) {}
+  })
+
+  it('selects all rows without options', async function () {
+    expect(await db.select('Setting')).to.have.lengthOf(4)
+  })
+
+  it('selects with where, columns, orderBy, limit and offset', async function () {
+    expect(await db.select('Setting', {
+      where: { type: 2 },
+      columns: ['key'],
+      orderBy: { key: 'desc' }
+    })).to.deep.equal([{ key: 'c' }, { key: 'a' }])
+
+    expect(await db.select('Setting', {
+      columns: 'key, type * 2 AS double',
+      orderBy: ['type', 'key'],
+      limit: 2,
+      offset: 1
+    })).to.deep.equal([{ key: 'b', double: 2 }, { key: 'a', double: 4 }])
+
+    expect(await db.select('Setting', { orderBy: 'key DESC', offset: 3, columns: ['key'] })).to.deep.equal([{ key: 'a' }])
+  })
+
+  it('ignores where objects without conditions', async function () {
+    expect(await db.select('Setting', { where: { type: undefined } })).to.have.lengthOf(4)
+  })
+
+  it('selects the first row', async function () {
+    expect(await db.selectFirst('Setting', { where: { value: null } })).to.deep.equal({ key: 'a', value: null, type: 2 })
+    expect(await db.selectFirst('Setting', { where: { key: 'z' } })).to.be.undefined
+  })
+
+  it('counts rows and checks if they exist', async function () {
+    expect(await db.count('Setting')).to.be.equal(4)
+    expect(await db.count('Setting', { type: [1, 2] })).to.be.equal(3)
+    expect(await db.exists('Setting', ['key = ?', 'c'])).to.be.true
+    expect(await db.exists('Setting', { key: 'z' })).to.be.false
+  })
+
+  it('throws on an unknown order direction', async function () {
+    await expect(db.select('Setting', { orderBy: { key: 'up' } })).to.be.rejectedWith('Unknown direction "up" for key in orderBy of the select command of DB()')
+  })
+})
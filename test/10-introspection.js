@@ -0,0 +1,65 @@
+const { describe, it, beforeEach, afterEach } = require('mocha')
+const { expect } = require('chai')
+const DB = require('../src/generators')
+const fs = require('fs')
+const path = require('path')
+let db = null
+
+describe('Database Introspection', function () {
+  beforeEach(async () => {
+    db = new DB({
+      migrate: {
+        migrationsPath: './test/migrations'
+      }
+    })
+    await db.exec(`CREATE TABLE Category (id INTEGER PRIMARY KEY, name TEXT NOT NULL DEFAULT 'none');
+      CREATE TABLE Post (id INTEGER PRIMARY KEY, categoryId INTEGER, title TEXT,
+        CONSTRAINT Post_fk_categoryId FOREIGN KEY (categoryId) REFERENCES Category (id) ON UPDATE CASCADE ON DELETE SET NULL);
+      CREATE VIEW PostTitles AS SELECT title FROM Post;`)
+  })
+
+  afterEach(async () => {
+    db && await db.close()
+    db = null
+    try {
+      fs.unlinkSync(path.resolve(process.cwd(), './data/sqlite3.db'))
+      fs.rmdirSync(path.resolve(process.cwd(), './data'))
+    } catch (e) {}
+  })
+
+  it('lists tables and views', async function () {
+    expect(await db.tables()).to.deep.equal(['Category', 'Post', 'Setting', 'migrations'])
+    expect(await db.views()).to.deep.equal(['PostTitles'])
+  })
+
+  it('lists the columns of a table', async function () {
+    expect(await db.columns('Category')).to.deep.equal([
+      { name: 'id', type: 'INTEGER', notNull: false, defaultValue: null, primaryKey: 1 },
+      { name: 'name', type: 'TEXT', notNull: true, defaultValue: "'none'", primaryKey: 0 }
+    ])
+  })
+
+  it('lists the indexes of a table', async function () {
+    expect(await db.indexes('Setting')).to.deep.equal([
+      { name: 'Setting_index_key', unique: false, origin: 'c', partial: false, columns: ['key'] },
+      { name: 'sqlite_autoindex_Setting_1', unique: true, origin: 'pk', partial: false, columns: ['key'] }
+    ])
+  })
+
+  it('lists the foreign keys of a table', async function () {
+    expect(await db.foreignKeys('Post')).to.deep.equal([
+      { id: 0, table: 'Category', from: ['categoryId'], to: ['id'], onUpdate: 'CASCADE', onDelete: 'SET NULL', match: 'NONE' }
+    ])
+  })
+
+  it('caches the schema until it is changed', async function () {
+    expect((await db.columns('Category')).map((column) => column.name)).to.deep.equal(['id', 'name'])
+    expect(db.schemaCache.has('columns:Category')).to.equal(true)
+
+    await db.run('ALTER TABLE Category ADD COLUMN description TEXT')
+    expect((await db.columns('Category')).map((column) => column.name)).to.deep.equal(['id', 'name', 'description'])
+
+    await db.exec('DROP VIEW PostTitles')
+    expect(await db.views()).to.deep.equal([])
+  })
+})
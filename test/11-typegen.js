@@ -0,0 +1,70 @@
+const { describe, it, beforeEach, afterEach } = require('mocha')
+const { expect } = require('chai')
+const DB = require('../src/generators')
+const cli = require('../src/cli')
+const fs = require('fs')
+const path = require('path')
+let db = null
+
+describe('TypeScript Types', function () {
+  beforeEach(async () => {
+    db = new DB({
+      migrate: {
+        migrationsPath: './test/migrations'
+      }
+    })
+    await db.exec(`CREATE TABLE "user roles" (id INTEGER PRIMARY KEY, "first-name" VARCHAR(20) NOT NULL,
+      score DOUBLE, amount DECIMAL(10,2), data BLOB, anything);`)
+  })
+
+  afterEach(async () => {
+    db && await db.close()
+    db = null
+    fs.rmSync(path.resolve(process.cwd(), './data'), { recursive: true, force: true })
+  })
+
+  it('creates an interface per table by the column affinity', async function () {
+    const types = await db.generateTypes()
+    expect(types).to.include(`export interface UserRolesRow {
+    id: number;
+    "first-name": string;
+    score: number | null;
+    amount: number | string | null;
+    data: Buffer | null;
+    anything: any;
+}`)
+    expect(types).to.include(`export interface SettingRow {
+    key: string;
+    value: Buffer | null;
+    type: number;
+}`)
+    expect(types).to.include(`export interface Tables {
+    Setting: SettingRow;
+    "user roles": UserRolesRow;
+}`)
+    expect(types).to.include('import { DBInstance, WhereClause, SelectOptions } from "sqlite3-helper";')
+    expect(types).not.to.include('MigrationsRow')
+  })
+
+  it('excludes tables and imports from another module', async function () {
+    const types = await db.generateTypes({ moduleName: '../index', exclude: ['Setting'] })
+    expect(types).to.include('from "../index";')
+    expect(types).to.include('MigrationsRow')
+    expect(types).not.to.include('SettingRow')
+  })
+
+  it('writes the types with the command line', async function () {
+    await db.close()
+    db = null
+    let stdout = ''
+    const code = await cli(['types', '--path', './data/sqlite3.db', '--migrations-path', './test/migrations', '--out', './data/db.d.ts'], {
+      stdout: { write: (text) => (stdout += text) },
+      stderr: { write: () => {} }
+    })
+    expect(code).to.be.equal(0)
+    expect(stdout).to.match(/^Created .*db\.d\.ts\n$/)
+    const types = fs.readFileSync(path.resolve(process.cwd(), './data/db.d.ts'), 'utf-8')
+    expect(types).to.include('export interface UserRolesRow {')
+    expect(types).to.include('export type TypedDBInstance = ')
+  })
+})
@@ -0,0 +1,134 @@
+/* eslint-disable no-unused-expressions */
+const { describe, it, beforeEach, afterEach } = require('mocha')
+const chai = require('chai')
+const chaiAsPromised = require('chai-as-promised')
+chai.use(chaiAsPromised)
+const { expect } = chai
+const DB = require('../src/generators')
+const fs = require('fs')
+const path = require('path')
+let db = null
+
+const list = {
+  encode: (value) => value.join(','),
+  decode: (value) => value.split(',')
+}
+
+describe('Column Codecs', function () {
+  beforeEach(async () => {
+    db = new DB({
+      migrate: {
+        migrationsPath: './test/migrations'
+      },
+      codecs: {
+        Setting: { value: 'json' },
+        Post: { data: 'json', published: 'boolean', createdAt: 'date', file: 'buffer', tags: list }
+      }
+    })
+    await db.exec(`CREATE TABLE Post (id INTEGER PRIMARY KEY, data TEXT, published INTEGER, createdAt TEXT,
+      file BLOB, tags TEXT, type INTEGER);`)
+  })
+
+  afterEach(async () => {
+    db && await db.close()
+    db = null
+    fs.rmSync(path.resolve(process.cwd(), './data'), { recursive: true, force: true })
+  })
+
+  it('encodes values on insert and decodes them on select', async function () {
+    const createdAt = new Date('2020-01-02T03:04:05.000Z')
+    const id = await db.insert('Post', {
+      data: { a: [1, 2] }, published: true, createdAt, file: 'abc', tags: ['x', 'y'], type: 1
+    })
+    expect(await db.queryFirstRow('SELECT data, published, createdAt, tags FROM Post WHERE id = ?', id)).to.deep.equal({
+      data: { a: [1, 2] }, published: true, createdAt, tags: ['x', 'y']
+    })
+
+    const raw = await db.prepare('SELECT * FROM Post')
+    expect(await raw.get()).to.deep.include({ data: '{"a":[1,2]}', published: 1, createdAt: '2020-01-02T03:04:05.000Z', tags: 'x,y' })
+    await raw.finalize()
+
+    const post = await db.selectFirst('Post', { where: { createdAt } })
+    expect(post.file).to.deep.equal(Buffer.from('abc'))
+    expect(post.type).to.be.equal(1)
+  })
+
+  it('encodes values on update, replace, upsert and insertMany', async function () {
+    await db.insertMany('Setting', [{ key: 'a', value: [1] }, { key: 'b', value: null }])
+    await db.update('Setting', { value: { changed: true } }, { key: 'a' })
+    await db.replace('Setting', { key: 'c', value: 'text' })
+    await db.upsert('Setting', { key: 'b', value: { upserted: 1 } }, 'key')
+
+    expect(await db.queryKeyAndColumn('key', 'value', "SELECT * FROM Setting WHERE key != 'test'")).to.deep.equal({
+      a: { changed: true },
+      b: { upserted: 1 },
+      c: 'text'
+    })
+  })
+
+  it('decodes the rows of each and queryIterate', async function () {
+    await db.insert('Post', [{ published: false, tags: ['a'] }, { published: true, tags: null }])
+    const rows = []
+    await db.each('SELECT published, tags FROM Post', (row) => rows.push(row))
+    expect(rows).to.deep.equal([{ published: false, tags: ['a'] }, { published: true, tags: null }])
+
+    const iterated = []
+    for await (const row of db.queryIterate('SELECT published FROM Post')) {
+      iterated.push(row.published)
+    }
+    expect(iterated).to.deep.equal([false, true])
+  })
+
+  it('encodes the values of where objects', async function () {
+    await db.insert('Post', [
+      { published: true, createdAt: new Date('2020-01-01') },
+      { published: false, createdAt: new Date('2021-01-01') }
+    ])
+    expect(await db.count('Post', { createdAt: { gt: new Date('2020-06-01') } })).to.be.equal(1)
+    expect(await db.exists('Post', { createdAt: [new Date('2020-01-01')] })).to.be.true
+    expect(await db.delete('Post', { published: false })).to.be.equal(1)
+  })
+
+  it('rejects if a value can not be decoded', async function () {
+    await db.run("INSERT INTO Post (data) VALUES ('no json')")
+    let error = null
+    await db.each('SELECT data FROM Post', () => {}).catch((e) => (error = e))
+    expect(error).to.be.instanceOf(SyntaxError)
+  })
+
+  it('throws for columns with different codecs in different tables in queries without a table', async function () {
+    await db.close()
+    db = new DB({
+      migrate: false,
+      codecs: { a: { value: 'json', flag: 'boolean' }, b: { value: list, flag: 'boolean' } }
+    })
+    await db.exec("CREATE TABLE a (value TEXT, flag INTEGER); INSERT INTO a VALUES ('[1]', 1)")
+    const message = 'The column "value" has different codecs in the tables "a", "b" of DB(); read it by select() or rename it in the query'
+    await expect(db.query('SELECT * FROM a')).to.be.rejectedWith(message)
+    await expect(db.queryFirstRow('SELECT value FROM a')).to.be.rejectedWith(message)
+    await expect(db.each('SELECT value FROM a', () => {})).to.be.rejectedWith(message)
+    await expect(db.queryIterate('SELECT value FROM a').next()).to.be.rejectedWith(message)
+
+    expect(await db.queryFirstRow('SELECT value AS stored, flag FROM a')).to.deep.equal({ stored: '[1]', flag: true })
+    expect(await db.selectFirst('a')).to.deep.equal({ value: [1], flag: true })
+  })
+
+  it('uses the types of the decoded values for TypeScript', async function () {
+    expect(await db.generateTypes()).to.include(`export interface PostRow {
+    id: number;
+    data: any;
+    published: boolean | null;
+    createdAt: Date | null;
+    file: Buffer | null;
+    tags: any;
+    type: number | null;
+}`)
+  })
+
+  it('throws on unknown codecs', function () {
+    expect(() => new DB({ codecs: { Post: { data: 'yaml' } } })).to.throw('Unknown codec "yaml" for Post.data in the options of DB()')
+    expect(() => new DB({ codecs: { Post: { data: { encode: String } } } })).to.throw(
+      'The codec for Post.data has to be the name of a built-in codec or an object with the functions encode and decode'
+    )
+  })
+})
@@ -0,0 +1,54 @@
+const { describe, it, afterEach } = require('mocha')
+const { expect } = require('chai')
+const DB = require('../src/generators')
+const fs = require('fs')
+const path = require('path')
+
+describe('Named Instances', function () {
+  afterEach(async () => {
+    await DB.closeAll()
+    fs.rmSync(path.resolve(process.cwd(), './data'), { recursive: true, force: true })
+  })
+
+  it('keeps one default instance', async function () {
+    const db = DB({ migrate: { migrationsPath: './test/migrations' } })
+    expect(DB()).to.be.equal(db)
+    expect(DB({ path: './data/ignored.db' })).to.be.equal(db)
+    expect(DB.get()).to.be.equal(db)
+    expect(await DB().queryFirstCell('SELECT value FROM Setting')).to.be.equal('now')
+  })
+
+  it('creates and returns named instances', async function () {
+    const analytics = DB('analytics', { path: './data/analytics.db', migrate: false })
+    expect(analytics).not.to.be.equal(DB())
+    expect(DB('analytics')).to.be.equal(analytics)
+    expect(DB.get('analytics')).to.be.equal(analytics)
+
+    await analytics.exec('CREATE TABLE events (name TEXT)')
+    expect(fs.existsSync(path.resolve(process.cwd(), './data/analytics.db'))).to.be.equal(true)
+  })
+
+  it('throws on options for an existing instance and unknown names', function () {
+    DB('analytics', { path: './data/analytics.db' })
+    expect(() => DB('analytics', { path: './data/other.db' })).to.throw(
+      'The instance "analytics" of DB() is already created; call DB("analytics") without options to get it'
+    )
+    expect(() => DB.get('reports')).to.throw('There is no instance "reports" of DB()')
+    expect(() => DB('reports')).to.throw('There is no instance "reports" of DB(); create it with DB("reports", options) first')
+  })
+
+  it('removes closed instances from the registry', async function () {
+    const first = DB('analytics', { path: './data/analytics.db', migrate: false })
+    await first.query('SELECT 1')
+    const main = DB({ migrate: false })
+    await DB.closeAll()
+    expect(first.db).to.be.equal(undefined)
+    expect(() => DB.get('analytics')).to.throw()
+    expect(() => DB('analytics')).to.throw('There is no instance "analytics" of DB()')
+    expect(DB()).not.to.be.equal(main)
+
+    const second = DB('analytics', { path: './data/analytics.db', migrate: false })
+    await second.close()
+    expect(DB('analytics', { path: './data/analytics.db' })).not.to.be.equal(second)
+  })
+})
@@ -0,0 +1,78 @@
+const { describe, it, beforeEach, afterEach } = require('mocha')
+const chai = require('chai')
+const chaiAsPromised = require('chai-as-promised')
+chai.use(chaiAsPromised)
+const { expect } = chai
+
+const DB = require('../src/generators')
+const { quoteTable } = require('../src/identifier')
+const fs = require('fs')
+const path = require('path')
+let db = null
+
+describe('Attached Databases', function () {
+  beforeEach(async () => {
+    const archive = new DB({ path: './data/archive.db', migrate: false })
+    await archive.exec('CREATE TABLE Setting (key TEXT PRIMARY KEY, value TEXT, type INTEGER NOT NULL DEFAULT 0)')
+    await archive.close()
+  })
+
+  afterEach(async () => {
+    db && await db.close()
+    db = null
+    fs.rmSync(path.resolve(process.cwd(), './data'), { recursive: true, force: true })
+  })
+
+  it('quotes schema-qualified table names', function () {
+    expect(quoteTable('Setting')).to.be.equal('`Setting`')
+    expect(quoteTable('archive.Setting')).to.be.equal('`archive`.`Setting`')
+    expect(quoteTable('odd`name')).to.be.equal('`odd``name`')
+  })
+
+  it('attaches the databases of the options to every connection', async function () {
+    db = new DB({
+      migrate: { migrationsPath: './test/migrations' },
+      attach: { archive: './data/archive.db' }
+    })
+    await db.insert('archive.Setting', { key: 'old', value: 'x', type: 1 })
+    await db.close()
+
+    expect(await db.queryColumn('key', 'SELECT s.key FROM Setting s UNION ALL SELECT a.key FROM archive.Setting a')).to.deep.equal(['test', 'old'])
+  })
+
+  it('uses the CRUD functions with attached tables', async function () {
+    db = new DB({ migrate: false })
+    await db.attach('archive', './data/archive.db')
+
+    await db.insertMany('archive.Setting', [{ key: 'a', value: 'x' }, { key: 'b', value: 'y' }])
+    await db.upsert('archive.Setting', { key: 'a', value: 'z' }, 'key')
+    expect(await db.update('archive.Setting', { type: 2 }, { key: 'b' })).to.be.equal(1)
+    expect(await db.select('archive.Setting', { columns: ['key', 'value', 'type'], orderBy: ['key'] })).to.deep.equal([
+      { key: 'a', value: 'z', type: 0 },
+      { key: 'b', value: 'y', type: 2 }
+    ])
+    expect(await db.count('archive.Setting', { type: 2 })).to.be.equal(1)
+    expect(await db.delete('archive.Setting', { key: 'a' })).to.be.equal(1)
+
+    expect(await db.tables('archive')).to.deep.equal(['Setting'])
+    expect((await db.columns('archive.Setting')).map((column) => column.name)).to.deep.equal(['key', 'value', 'type'])
+    await db.insertWithBlackList('archive.Setting', { key: 'c', value: 'v', type: 3 }, ['type'])
+    expect(await db.queryFirstRow("SELECT value, type FROM archive.Setting WHERE key = 'c'")).to.deep.equal({ value: 'v', type: 0 })
+  })
+
+  it('attaches before the first connection and detaches', async function () {
+    db = new DB({ migrate: false })
+    await db.attach('archive', './data/archive.db')
+    expect(db.db).to.be.equal(undefined)
+    expect(await db.count('archive.Setting')).to.be.equal(0)
+
+    await db.detach('archive')
+    await expect(db.count('archive.Setting')).to.be.rejectedWith('no such table: archive.Setting')
+  })
+
+  it('throws on attached aliases and unknown aliases', async function () {
+    db = new DB({ migrate: false, attach: { archive: './data/archive.db' } })
+    await expect(db.attach('archive', './data/other.db')).to.be.rejectedWith('The alias "archive" is already attached for the attach command of DB()')
+    await expect(db.detach('other')).to.be.rejectedWith('The alias "other" is not attached for the detach command of DB()')
+  })
+})
@@ -0,0 +1,95 @@
+const { describe, it, afterEach } = require('mocha')
+const chai = require('chai')
+const chaiAsPromised = require('chai-as-promised')
+chai.use(chaiAsPromised)
+const { expect } = chai
+
+const DB = require('../src/generators')
+const fs = require('fs')
+const path = require('path')
+let db = null
+
+function createDB (pool) {
+  return new DB({
+    migrate: {
+      migrationsPath: './test/migrations'
+    },
+    pool
+  })
+}
+
+describe('Read Pool', function () {
+  afterEach(async () => {
+    db && await db.close()
+    db = null
+    fs.rmSync(path.resolve(process.cwd(), './data'), { recursive: true, force: true })
+  })
+
+  it('reads with read-only connections', async function () {
+    db = createDB({ readers: 2 })
+    expect(await db.queryFirstCell('SELECT value FROM Setting')).to.be.equal('now')
+    expect(db.readPool.size).to.be.equal(1)
+    await expect(db.query("INSERT INTO Setting (key, value) VALUES ('a', 'b')")).to.be.rejectedWith('SQLITE_READONLY')
+    expect(await db.insert('Setting', { key: 'a', value: 'b' })).to.be.a('number')
+    expect(await db.select('Setting', { where: { key: 'a' }, columns: ['value'] })).to.deep.equal([{ value: 'b' }])
+  })
+
+  it('reads while a transaction is running', async function () {
+    db = createDB(true)
+    await db.query('SELECT 1')
+    await db.transaction(async (tx) => {
+      await tx.insert('Setting', { key: 'a', value: 'b' })
+      expect(await tx.count('Setting')).to.be.equal(2)
+      // the committed state without waiting for the transaction
+      expect(await db.count('Setting')).to.be.equal(1)
+    })
+    expect(await db.count('Setting')).to.be.equal(2)
+  })
+
+  it('opens not more than the number of readers', async function () {
+    db = createDB({ readers: 2 })
+    const results = await Promise.all(Array.from({ length: 6 }, (v, i) => db.queryFirstCell('SELECT ?', i)))
+    expect(results).to.deep.equal([0, 1, 2, 3, 4, 5])
+    expect(db.readPool.size).to.be.equal(2)
+
+    const rows = []
+    await db.each('SELECT key FROM Setting', (row) => rows.push(row.key))
+    for await (const row of db.queryIterate('SELECT key FROM Setting')) {
+      rows.push(row.key)
+    }
+    expect(rows).to.deep.equal(['test', 'test'])
+    expect(db.readPool.idle).to.have.lengthOf(2)
+  })
+
+  it('closes idle readers after the timeout and on close', async function () {
+    db = createDB({ readers: 2, idleTimeout: 10 })
+    await Promise.all([db.query('SELECT 1'), db.query('SELECT 2')])
+    expect(db.readPool.size).to.be.equal(2)
+    await new Promise((resolve) => setTimeout(resolve, 50))
+    expect(db.readPool.size).to.be.equal(0)
+
+    const pending = db.query('SELECT 3')
+    await new Promise((resolve) => setImmediate(resolve))
+    await db.close()
+    expect(await pending).to.deep.equal([{ 3: 3 }])
+    expect(db.readPool.size).to.be.equal(0)
+    expect(await db.queryFirstCell('SELECT value FROM Setting')).to.be.equal('now')
+  })
+
+  it('opens the readers again after attaching a database', async function () {
+    db = createDB(true)
+    await db.query('SELECT 1')
+    const archive = new DB({ path: './data/archive.db', migrate: false })
+    await archive.exec("CREATE TABLE log (text TEXT); INSERT INTO log VALUES ('old')")
+    await archive.close()
+
+    await db.attach('archive', './data/archive.db')
+    expect(await db.queryColumn('text', 'SELECT text FROM archive.log')).to.deep.equal(['old'])
+  })
+
+  it('needs a database file with WAL', function () {
+    expect(() => new DB({ memory: true, pool: true })).to.throw('The pool of DB() needs a database file with WAL')
+    expect(() => new DB({ WAL: false, pool: true })).to.throw('The pool of DB() needs a database file with WAL')
+    expect(() => new DB({ pool: { readers: 0 } })).to.throw('The number of readers of the pool has to be a positive integer for DB()')
+  })
+})
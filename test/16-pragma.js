@@ -0,0 +1,68 @@
+const { describe, it, afterEach } = require('mocha')
+const chai = require('chai')
+const chaiAsPromised = require('chai-as-promised')
+chai.use(chaiAsPromised)
+const { expect } = chai
+
+const DB = require('../src/generators')
+const fs = require('fs')
+const path = require('path')
+let db = null
+
+describe('Pragmas', function () {
+  afterEach(async () => {
+    db && await db.close()
+    db = null
+    fs.rmSync(path.resolve(process.cwd(), './data'), { recursive: true, force: true })
+  })
+
+  it('applies the pragmas of the options on every connection', async function () {
+    db = new DB({
+      migrate: false,
+      pragmas: { foreign_keys: true, busy_timeout: 3000, synchronous: 'NORMAL', cache_size: -4000, temp_store: 'MEMORY' }
+    })
+    expect(await db.pragma('foreign_keys')).to.be.equal(1)
+    expect(await db.pragma('busy_timeout')).to.be.equal(3000)
+    expect(await db.pragma('synchronous')).to.be.equal(1)
+    expect(await db.pragma('cache_size')).to.be.equal(-4000)
+    expect(await db.pragma('temp_store')).to.be.equal(2)
+
+    await db.close()
+    expect(await db.pragma('foreign_keys')).to.be.equal(1)
+  })
+
+  it('applies the pragmas before the migrations', async function () {
+    fs.mkdirSync(path.resolve(process.cwd(), './data/migrations'), { recursive: true })
+    fs.writeFileSync(path.resolve(process.cwd(), './data/migrations/001-fk.sql'), `-- Up
+CREATE TABLE parent (id INTEGER PRIMARY KEY);
+CREATE TABLE child (parentId INTEGER REFERENCES parent (id));
+INSERT INTO child VALUES (1);
+-- Down
+DROP TABLE child;
+DROP TABLE parent;
+`)
+    db = new DB({ migrate: { migrationsPath: './data/migrations' }, pragmas: { foreign_keys: 'ON' } })
+    await expect(db.query('SELECT 1')).to.be.rejectedWith('FOREIGN KEY constraint failed')
+  })
+
+  it('sets and reads pragmas', async function () {
+    db = new DB({ migrate: { migrationsPath: './test/migrations' } })
+    expect(await db.pragma('user_version', 7)).to.be.equal(undefined)
+    expect(await db.pragma('user_version')).to.be.equal(7)
+    expect(await db.pragma('main.journal_mode')).to.be.equal('wal')
+    expect(await db.pragma('table_info', 'Setting')).to.have.lengthOf(3)
+    expect(await db.pragma('collation_list')).to.be.an('array')
+    expect(await db.pragma('index_list', 'migrations')).to.be.equal(undefined)
+  })
+
+  it('throws on unknown and failing pragmas', async function () {
+    db = new DB({ migrate: false })
+    await expect(db.pragma('nonsense', 1)).to.be.rejectedWith('Unknown pragma "nonsense" for DB()')
+    await expect(db.pragma('foreign_keys; DROP TABLE x')).to.be.rejectedWith('Invalid pragma "foreign_keys; DROP TABLE x" for DB()')
+    await expect(db.pragma('other.user_version')).to.be.rejectedWith('PRAGMA other.user_version failed for DB(): SQLITE_ERROR: unknown database other')
+    await db.close()
+
+    db = new DB({ migrate: false, pragmas: { foreign_key: true } })
+    await expect(db.query('SELECT 1')).to.be.rejectedWith('Unknown pragma "foreign_key" for DB()')
+  })
+})
@@ -0,0 +1,67 @@
+const { describe, it, afterEach } = require('mocha')
+const chai = require('chai')
+const chaiAsPromised = require('chai-as-promised')
+chai.use(chaiAsPromised)
+const { expect } = chai
+
+const DB = require('../src/generators')
+const fs = require('fs')
+const path = require('path')
+let db = null
+
+describe('Extensions and Connection Hooks', function () {
+  afterEach(async () => {
+    db && await db.close()
+    db = null
+    fs.rmSync(path.resolve(process.cwd(), './data'), { recursive: true, force: true })
+  })
+
+  it('loads extensions with the connection of sqlite3', async function () {
+    db = new DB({ migrate: false })
+    await db.query('SELECT 1')
+    await expect(db.loadExtension('./data/missing-extension')).to.be.rejectedWith(/missing-extension/)
+    expect(db.extensions).to.deep.equal([])
+    await expect(db.loadExtension()).to.be.rejectedWith('File is missing for the loadExtension command of DB()')
+  })
+
+  it('loads the extensions of the options on connect', async function () {
+    db = new DB({ migrate: false, extensions: ['./data/missing-extension'] })
+    await expect(db.query('SELECT 1')).to.be.rejectedWith(/missing-extension/)
+  })
+
+  it('calls the hooks on every new connection', async function () {
+    const calls = []
+    db = new DB({
+      migrate: { migrationsPath: './test/migrations' },
+      pool: { readers: 1 },
+      onConnect: (connection, { reader }) => new Promise((resolve, reject) => {
+        calls.push(reader)
+        connection.exec('CREATE TEMP VIEW keys AS SELECT key FROM main.Setting', (err) => (err ? reject(err) : resolve()))
+      })
+    })
+    expect(await db.queryColumn('key', 'SELECT key FROM keys')).to.deep.equal(['test'])
+    await db.close()
+    expect(await db.queryColumn('key', 'SELECT key FROM keys')).to.deep.equal(['test'])
+    expect(calls).to.deep.equal([false, true, false, true])
+  })
+
+  it('calls added hooks right away on an open connection', async function () {
+    db = new DB({ migrate: false })
+    await db.query('SELECT 1')
+    let calls = 0
+    await db.onConnect(async (connection, { reader }) => {
+      expect(reader).to.be.equal(false)
+      calls++
+    })
+    expect(calls).to.be.equal(1)
+    await db.close()
+    await db.query('SELECT 1')
+    expect(calls).to.be.equal(2)
+    await expect(db.onConnect()).to.be.rejectedWith('Function is missing for the onConnect command of DB()')
+  })
+
+  it('does not support safe integers', async function () {
+    db = new DB({ migrate: false })
+    await expect(db.defaultSafeIntegers(true)).to.be.rejectedWith('defaultSafeIntegers is not supported by sqlite3 for DB()')
+  })
+})
@@ -0,0 +1,126 @@
+const { describe, it, afterEach } = require('mocha')
+const chai = require('chai')
+const chaiAsPromised = require('chai-as-promised')
+chai.use(chaiAsPromised)
+const { expect } = chai
+
+const DB = require('../src/generators')
+const fs = require('fs')
+const path = require('path')
+let db = null
+
+function createDB (options = {}) {
+  return new DB({
+    migrate: {
+      migrationsPath: './test/migrations'
+    },
+    ...options
+  })
+}
+
+describe('Query Events', function () {
+  afterEach(async () => {
+    db && await db.close()
+    db = null
+    fs.rmSync(path.resolve(process.cwd(), './data'), { recursive: true, force: true })
+  })
+
+  it('emits the statements of the migrations', async function () {
+    db = createDB()
+    const events = []
+    db.on('query', (event) => events.push(event))
+    await db.query('SELECT 1')
+    expect(events.some((event) => /CREATE TABLE `Setting`/.test(event.sql))).to.be.equal(true)
+    expect(events.some((event) => /INSERT INTO `Setting`/.test(event.sql))).to.be.equal(true)
+    expect(events[events.length - 1]).to.include({ sql: 'SELECT 1', rows: 1 })
+  })
+
+  it('emits the sql, params, duration and result', async function () {
+    db = createDB()
+    await db.query('SELECT 1')
+    const events = []
+    db.on('query', (event) => events.push(event))
+
+    await db.run('INSERT INTO Setting (key, value) VALUES (?, ?)', 'a', 'b')
+    await db.query('SELECT * FROM Setting WHERE key = ?', 'a')
+    await db.each('SELECT * FROM Setting', () => {})
+    await db.update('Setting', { value: 'c' }, { key: 'a' })
+    expect(events.map(({ sql, params, rows, changes }) => ({ sql, params, rows, changes }))).to.deep.equal([
+      { sql: 'INSERT INTO Setting (key, value) VALUES (?, ?)', params: ['a', 'b'], rows: undefined, changes: 1 },
+      { sql: 'SELECT * FROM Setting WHERE key = ?', params: ['a'], rows: 1, changes: undefined },
+      { sql: 'SELECT * FROM Setting', params: [], rows: 2, changes: undefined },
+      { sql: 'UPDATE `Setting` SET `value` = ? WHERE `key` = ?', params: ['c', 'a'], rows: undefined, changes: 1 }
+    ])
+    events.forEach((event) => expect(event.durationMs).to.be.a('number').and.to.be.at.least(0))
+  })
+
+  it('emits the statements of prepare and of transactions', async function () {
+    db = createDB()
+    await db.query('SELECT 1')
+    const sqls = []
+    db.on('query', ({ sql }) => sqls.push(sql))
+
+    const statement = await db.prepare('SELECT value FROM Setting WHERE key = ?')
+    expect(await statement.get('test')).to.deep.equal({ value: 'now' })
+    const values = []
+    for await (const row of statement.iterate('test')) {
+      values.push(row.value)
+    }
+    expect(values).to.deep.equal(['now'])
+    await statement.finalize()
+
+    await db.transaction(async (tx) => {
+      await tx.insert('Setting', { key: 'a', value: 'b' })
+    })
+    expect(sqls).to.deep.equal([
+      'SELECT value FROM Setting WHERE key = ?',
+      'SELECT value FROM Setting WHERE key = ?',
+      'BEGIN DEFERRED',
+      'INSERT INTO `Setting` (`key`,`value`) VALUES (?,?)',
+      'COMMIT'
+    ])
+  })
+
+  it('emits failed statements with the error', async function () {
+    db = createDB()
+    await db.query('SELECT 1')
+    const events = []
+    db.on('query', (event) => events.push(event))
+    await expect(db.query('SELECT * FROM Missing')).to.be.rejectedWith('no such table: Missing')
+    expect(events).to.have.lengthOf(1)
+    expect(events[0].sql).to.be.equal('SELECT * FROM Missing')
+    expect(events[0].error.message).to.match(/no such table: Missing/)
+  })
+
+  it('emits slow queries', async function () {
+    db = createDB({ slowQueryThresholdMs: 0 })
+    await db.query('SELECT 1')
+    const slow = []
+    db.on('slowQuery', (event) => slow.push(event.sql))
+    await db.query('SELECT 2')
+    expect(slow).to.deep.equal(['SELECT 2'])
+    await db.close()
+
+    db = createDB({ slowQueryThresholdMs: 60000 })
+    await db.query('SELECT 1')
+    db.on('slowQuery', (event) => slow.push(event.sql))
+    await db.query('SELECT 3')
+    expect(slow).to.deep.equal(['SELECT 2'])
+  })
+
+  it('redacts the params', async function () {
+    db = createDB({ redactParams: true })
+    await db.query('SELECT 1')
+    const params = []
+    db.on('query', (event) => params.push(event.params))
+    await db.query('SELECT ?, ?', 'secret', 1)
+    await db.close()
+
+    db = createDB({ redactParams: (values, sql) => values.map((value) => (/key/.test(sql) ? '***' : value)) })
+    await db.query('SELECT 1')
+    db.on('query', (event) => params.push(event.params))
+    await db.query('SELECT * FROM Setting WHERE key = ?', 'secret')
+    await db.query('SELECT ?', 1)
+    expect(params).to.deep.equal([['[redacted]', '[redacted]'], ['***'], [1]])
+  })
+})
@@ -0,0 +1,139 @@
+const { describe, it, afterEach } = require('mocha')
+const chai = require('chai')
+const chaiAsPromised = require('chai-as-promised')
+chai.use(chaiAsPromised)
+const { expect } = chai
+
+const DB = require('../src/generators')
+const fs = require('fs')
+const path = require('path')
+let db = null
+let other = null
+
+/**
+ * Lets the other instance hold the write lock of the database until the returned function is called
+ */
+async function lock () {
+  let unlock
+  const locked = new Promise((resolve) => {
+    other.transaction(() => {
+      resolve()
+      return new Promise((resolve) => { unlock = resolve })
+    }, { mode: 'IMMEDIATE' })
+  })
+  await locked
+  return unlock
+}
+
+function wait (ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms))
+}
+
+describe('Retry', function () {
+  afterEach(async () => {
+    db && await db.close()
+    other && await other.close()
+    db = null
+    other = null
+    fs.rmSync(path.resolve(process.cwd(), './data'), { recursive: true, force: true })
+  })
+
+  async function createDBs (retry) {
+    // sqlite3 waits up to a second for locks by itself
+    db = new DB({ migrate: false, retry, pragmas: { busy_timeout: 0 } })
+    await db.exec('CREATE TABLE log (text TEXT)')
+    other = new DB({ migrate: false })
+  }
+
+  it('fails right away without the option', async function () {
+    await createDBs()
+    const unlock = await lock()
+    await expect(db.insert('log', { text: 'a' })).to.be.rejectedWith(/^SQLITE_BUSY: database is locked$/)
+    unlock()
+  })
+
+  it('tries writes again while the database is locked', async function () {
+    await createDBs({ attempts: 20, delay: 10, factor: 1, jitter: false })
+    const events = []
+    db.on('query', ({ error }) => events.push(error ? error.code : 'ok'))
+    const unlock = await lock()
+    setTimeout(unlock, 40)
+    expect(await db.insert('log', { text: 'a' })).to.be.equal(1)
+    expect(events.length).to.be.above(1)
+    expect(events[0]).to.be.equal('SQLITE_BUSY')
+    expect(events[events.length - 1]).to.be.equal('ok')
+
+    const statement = await db.prepare('INSERT INTO log VALUES (?)')
+    const unlockAgain = await lock()
+    setTimeout(unlockAgain, 40)
+    expect((await statement.run('b')).changes).to.be.equal(1)
+    await statement.finalize()
+  })
+
+  it('tries the start of transactions again', async function () {
+    await createDBs({ attempts: 20, delay: 10, factor: 1 })
+    const unlock = await lock()
+    setTimeout(unlock, 40)
+    await db.transaction(async (tx) => {
+      await tx.insert('log', { text: 'a' })
+    }, { mode: 'IMMEDIATE' })
+    expect(await db.count('log')).to.be.equal(1)
+  })
+
+  it('keeps the next attempt out of a transaction that started in between', async function () {
+    await createDBs({ attempts: 20, delay: 10, factor: 1, jitter: false })
+    const statement = await db.prepare('INSERT INTO log VALUES (?)')
+    const statements = []
+    db.on('query', ({ sql, error }) => statements.push(error ? error.code : sql))
+    const unlock = await lock()
+    setTimeout(unlock, 20)
+    const written = db.run("INSERT INTO log VALUES ('run')")
+    const prepared = statement.run('prepared')
+    await wait(5)
+    await expect(db.transaction(async () => {
+      await wait(30)
+      throw new Error('stop')
+    })).to.be.rejectedWith('stop')
+    expect((await written).changes).to.be.equal(1)
+    expect((await prepared).changes).to.be.equal(1)
+    await statement.finalize()
+    expect(await db.queryColumn('text', 'SELECT text FROM log ORDER BY text')).to.deep.equal(['prepared', 'run'])
+    expect(statements.slice(0, 2)).to.deep.equal(['SQLITE_BUSY', 'SQLITE_BUSY'])
+    const rollback = statements.indexOf('ROLLBACK')
+    expect(statements.slice(rollback - 1, rollback + 1)).to.deep.equal(['BEGIN DEFERRED', 'ROLLBACK'])
+    // both writes succeed only after the rollback
+    expect(statements.filter((sql) => /^INSERT/.test(sql))).to.have.lengthOf(2)
+    expect(statements.slice(rollback + 1).filter((sql) => /^INSERT/.test(sql))).to.have.members([
+      "INSERT INTO log VALUES ('run')", 'INSERT INTO log VALUES (?)'
+    ])
+  })
+
+  it('adds the number of attempts to the last error', async function () {
+    await createDBs({ attempts: 3, delay: 1 })
+    const unlock = await lock()
+    const err = await db.run("INSERT INTO log VALUES ('a')").catch((e) => e)
+    unlock()
+    expect(err.message).to.be.equal('SQLITE_BUSY: database is locked (after 3 attempts)')
+    expect(err.code).to.be.equal('SQLITE_BUSY')
+    expect(err.attempts).to.be.equal(3)
+  })
+
+  it('does not try again inside of a transaction', async function () {
+    await createDBs({ attempts: 20, delay: 10 })
+    await db.query('SELECT 1')
+    const inserts = []
+    db.on('query', ({ sql }) => /^INSERT/.test(sql) && inserts.push(sql))
+    const unlock = await lock()
+    setTimeout(unlock, 40)
+    await expect(db.transaction((tx) => tx.insert('log', { text: 'a' }))).to.be.rejectedWith(/^SQLITE_BUSY: database is locked$/)
+    expect(inserts).to.have.lengthOf(1)
+    await wait(50)
+    expect(await db.count('log')).to.be.equal(0)
+  })
+
+  it('checks the option', function () {
+    expect(() => new DB({ retry: { attempts: 0 } })).to.throw('The attempts of the retry option have to be a positive integer for DB()')
+    expect(() => new DB({ retry: { delay: -1 } })).to.throw('The delay of the retry option has to be a number that is not negative for DB()')
+    expect(new DB({ retry: true }).retryPolicy).to.deep.equal({ attempts: 5, delay: 50, factor: 2, maxDelay: 1000, jitter: true })
+  })
+})
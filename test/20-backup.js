@@ -0,0 +1,114 @@
+const { describe, it, afterEach } = require('mocha')
+const chai = require('chai')
+const chaiAsPromised = require('chai-as-promised')
+chai.use(chaiAsPromised)
+const { expect } = chai
+
+const DB = require('../src/generators')
+const fs = require('fs')
+const path = require('path')
+const crypto = require('crypto')
+let db = null
+
+function createDB (options = {}) {
+  return new DB({
+    migrate: {
+      migrationsPath: './test/migrations'
+    },
+    ...options
+  })
+}
+
+function sha256 (file) {
+  return crypto.createHash('sha256').update(fs.readFileSync(file)).digest('hex')
+}
+
+describe('Backup and Restore', function () {
+  afterEach(async () => {
+    db && await db.close()
+    db = null
+    await DB.closeAll()
+    fs.rmSync(path.resolve(process.cwd(), './data'), { recursive: true, force: true })
+  })
+
+  it('writes a copy of the database while it is used', async function () {
+    db = createDB()
+    await db.insertMany('Setting', Array.from({ length: 200 }, (v, i) => ({ key: `key${i}`, value: 'x'.repeat(500) })))
+    const steps = []
+    const result = await db.backup('./data/backups/copy.db', { pagesPerStep: 5, progress: (step) => steps.push(step) })
+    expect(result.path).to.be.equal(path.resolve(process.cwd(), './data/backups/copy.db'))
+    expect(result.size).to.be.equal(fs.statSync(result.path).size)
+    expect(result.checksum).to.be.equal(sha256(result.path))
+    expect(steps.length).to.be.above(1)
+    expect(steps[steps.length - 1]).to.deep.equal({ totalPages: steps[0].totalPages, remainingPages: 0 })
+
+    const copy = new DB({ path: './data/backups/copy.db', migrate: false })
+    expect(await copy.count('Setting')).to.be.equal(201)
+    await copy.close()
+  })
+
+  it('falls back to VACUUM INTO', async function () {
+    db = createDB()
+    const connection = await db.connection()
+    connection.backup = undefined
+    fs.mkdirSync(path.resolve(process.cwd(), './data/backups'), { recursive: true })
+    fs.writeFileSync(path.resolve(process.cwd(), './data/backups/copy.db'), 'old')
+    const steps = []
+    const { checksum } = await db.backup('./data/backups/copy.db', { progress: (step) => steps.push(step) })
+    expect(checksum).to.be.equal(sha256('./data/backups/copy.db'))
+    expect(steps).to.have.lengthOf(1)
+    expect(steps[0].remainingPages).to.be.equal(0)
+    await expect(db.restore('./data/backups/copy.db')).to.be.rejectedWith('The restore command of DB() needs a version of sqlite3 with the backup API')
+
+    const copy = new DB({ path: './data/backups/copy.db', migrate: false })
+    expect(await copy.queryFirstCell('SELECT value FROM Setting')).to.be.equal('now')
+    await copy.close()
+  })
+
+  it('restores a backup and opens the connections again', async function () {
+    db = createDB({ pool: true })
+    const { checksum } = await db.backup('./data/backups/copy.db')
+    await db.insert('Setting', { key: 'a', value: 'b' })
+    expect(await db.count('Setting')).to.be.equal(2)
+
+    await db.restore('./data/backups/copy.db', { checksum })
+    expect(await db.count('Setting')).to.be.equal(1)
+    expect(await db.tables()).to.deep.equal(['Setting', 'migrations'])
+  })
+
+  it('runs the migrations on the restored database', async function () {
+    const other = new DB({ path: './data/other.db', migrate: false })
+    await other.exec('CREATE TABLE other (id INTEGER)')
+    await other.close()
+
+    db = createDB()
+    expect(await db.tables()).to.include('Setting')
+    await db.restore('./data/other.db')
+    expect((await db.tables()).sort()).to.deep.equal(['Setting', 'migrations', 'other'])
+  })
+
+  it('restores the instances of DB() and databases in memory', async function () {
+    db = createDB()
+    await db.backup('./data/backups/copy.db')
+    const memory = DB('memory', { memory: true, migrate: false })
+    await memory.exec('CREATE TABLE other (id INTEGER)')
+    await DB.restore('./data/backups/copy.db', { name: 'memory' })
+    expect(await memory.tables()).to.deep.equal(['Setting', 'migrations'])
+    expect(await memory.queryFirstCell('SELECT value FROM Setting')).to.be.equal('now')
+  })
+
+  it('checks the backup before it restores', async function () {
+    db = createDB()
+    await db.backup('./data/backups/copy.db')
+    await db.insert('Setting', { key: 'a', value: 'b' })
+    await expect(db.restore('./data/backups/copy.db', { checksum: 'abc' })).to.be.rejectedWith(/^The checksum of ".*copy\.db" doesn't match for the restore command of DB\(\)$/)
+    await expect(db.restore('./data/backups/missing.db')).to.be.rejectedWith(/^Backup file doesn't exist: /)
+    await expect(db.restore()).to.be.rejectedWith('File is missing for the restore command of DB()')
+    await expect(db.transaction((tx) => tx.restore('./data/backups/copy.db'))).to.be.rejectedWith('The restore command of DB() can not be used inside of a transaction')
+    expect(await db.count('Setting')).to.be.equal(2)
+
+    await expect(db.backup()).to.be.rejectedWith('File is missing for the backup command of DB()')
+    await expect(db.backup('./data/sqlite3.db')).to.be.rejectedWith('The backup command of DB() can not overwrite the database itself')
+    await expect(db.backup('./data/copy.db', { pagesPerStep: 0 })).to.be.rejectedWith('pagesPerStep has to be a positive integer for the backup command of DB()')
+  })
+})
@@ -0,0 +1,114 @@
+const { describe, it, afterEach } = require('mocha')
+const chai = require('chai')
+const chaiAsPromised = require('chai-as-promised')
+chai.use(chaiAsPromised)
+const { expect } = chai
+
+const DB = require('../src/generators')
+const Statement = require('../src/statement')
+const fs = require('fs')
+const path = require('path')
+let db = null
+
+// the last row can't be computed; SQLite fails while it steps to it
+const failingQuery = 'SELECT CASE WHEN n = 3 THEN abs(-9223372036854775807 - 1) ELSE n END AS n FROM numbers'
+
+describe('Iterate', function () {
+  afterEach(async () => {
+    db && await db.close()
+    db = null
+    fs.rmSync(path.resolve(process.cwd(), './data'), { recursive: true, force: true })
+  })
+
+  async function createDB (options = {}) {
+    db = new DB({ migrate: false, ...options })
+    await db.exec('CREATE TABLE numbers (n INTEGER)')
+    await db.insertMany('numbers', Array.from({ length: 100 }, (v, i) => ({ n: i + 1 })))
+  }
+
+  it('reads a row only when it is needed', async function () {
+    await createDB()
+    const events = []
+    db.on('query', (event) => events.push(event))
+    const numbers = []
+    for await (const row of db.queryIterate('SELECT n FROM numbers ORDER BY n')) {
+      numbers.push(row.n)
+      if (numbers.length === 3) {
+        break
+      }
+    }
+    expect(numbers).to.deep.equal([1, 2, 3])
+    expect(events).to.have.lengthOf(1)
+    expect(events[0]).to.include({ sql: 'SELECT n FROM numbers ORDER BY n', rows: 3 })
+  })
+
+  it('finalizes the statement when the loop is left early', async function () {
+    await createDB({ pool: true })
+    const finalize = Statement.prototype.finalize
+    let finalized = 0
+    Statement.prototype.finalize = function () {
+      finalized++
+      return finalize.call(this)
+    }
+    try {
+      for await (const row of db.queryIterate('SELECT n FROM numbers ORDER BY n')) {
+        if (row.n === 1) {
+          break
+        }
+      }
+      await expect((async () => {
+        for await (const row of db.queryIterate('SELECT n FROM numbers ORDER BY n')) {
+          if (row.n === 1) {
+            throw new Error(`stop at ${row.n}`)
+          }
+        }
+      })()).to.be.rejectedWith('stop at 1')
+    } finally {
+      Statement.prototype.finalize = finalize
+    }
+    expect(finalized).to.be.equal(2)
+    expect(db.readPool.idle).to.have.lengthOf(1)
+    expect(await db.count('numbers')).to.be.equal(100)
+  })
+
+  it('throws the errors of SQLite to the consumer', async function () {
+    await createDB()
+    const events = []
+    db.on('query', (event) => events.push(event))
+    const numbers = []
+    await expect((async () => {
+      for await (const row of db.queryIterate(failingQuery)) {
+        numbers.push(row.n)
+      }
+    })()).to.be.rejectedWith('integer overflow')
+    expect(numbers).to.deep.equal([1, 2])
+    expect(events[0].error.message).to.match(/integer overflow/)
+    await expect((async () => {
+      for await (const row of db.queryIterate('SELECT * FROM missing')) {
+        numbers.push(row)
+      }
+    })()).to.be.rejectedWith('no such table: missing')
+  })
+
+  it('resets prepared statements, so they can be iterated again', async function () {
+    await createDB()
+    const statement = await db.prepare('SELECT n FROM numbers WHERE n <= ? ORDER BY n')
+    const read = async (...params) => {
+      const numbers = []
+      for await (const row of statement.iterate(...params)) {
+        numbers.push(row.n)
+      }
+      return numbers
+    }
+    for await (const row of statement.iterate(5)) {
+      if (row.n === 1) {
+        break
+      }
+    }
+    expect(await read(3)).to.deep.equal([1, 2, 3])
+    // the bound parameters stay
+    expect(await read()).to.deep.equal([1, 2, 3])
+    expect(await read(0)).to.deep.equal([])
+    await statement.finalize()
+  })
+})
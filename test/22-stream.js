@@ -0,0 +1,119 @@
+const { describe, it, afterEach } = require('mocha')
+const chai = require('chai')
+const chaiAsPromised = require('chai-as-promised')
+chai.use(chaiAsPromised)
+const { expect } = chai
+
+const DB = require('../src/generators')
+const fs = require('fs')
+const path = require('path')
+const { PassThrough } = require('stream')
+let db = null
+
+function collect (stream) {
+  const chunks = []
+  stream.on('data', (chunk) => chunks.push(chunk))
+  return new Promise((resolve, reject) => {
+    stream.on('end', () => resolve(chunks.join('')))
+    stream.on('error', reject)
+  })
+}
+
+function tick () {
+  return new Promise((resolve) => setImmediate(resolve))
+}
+
+describe('Streams and Export', function () {
+  afterEach(async () => {
+    db && await db.close()
+    db = null
+    fs.rmSync(path.resolve(process.cwd(), './data'), { recursive: true, force: true })
+  })
+
+  async function createDB (options = {}) {
+    db = new DB({ migrate: false, codecs: { item: { tags: 'json' } }, ...options })
+    await db.exec('CREATE TABLE item (id INTEGER PRIMARY KEY, name TEXT, tags TEXT, data BLOB)')
+    await db.insertMany('item', [
+      { name: 'plain', tags: ['a'], data: Buffer.from('hi') },
+      { name: 'with, comma', tags: null, data: null },
+      { name: 'with "quotes"\nand a line', tags: { b: 1 }, data: null }
+    ])
+  }
+
+  it('streams the rows with backpressure', async function () {
+    await createDB()
+    await db.insertMany('item', Array.from({ length: 100 }, (v, i) => ({ name: `n${i}` })))
+    const stream = db.queryStream('SELECT id, tags FROM item WHERE id <= ? ORDER BY id', 50)
+    await tick()
+    await tick()
+    // nothing consumes the stream, so it stops at the highWaterMark
+    expect(stream.readableLength).to.be.at.most(stream.readableHighWaterMark)
+    const rows = []
+    for await (const row of stream) {
+      rows.push(row)
+    }
+    expect(rows).to.have.lengthOf(50)
+    expect(rows[0]).to.deep.equal({ id: 1, tags: ['a'] })
+  })
+
+  it('finalizes the statement when the stream is destroyed', async function () {
+    await createDB({ path: './data/stream.db', pool: true })
+    const stream = db.queryStream('SELECT * FROM item')
+    await new Promise((resolve) => stream.once('data', resolve))
+    stream.destroy()
+    await new Promise((resolve) => stream.once('close', resolve))
+    await tick()
+    expect(db.readPool.idle).to.have.lengthOf(1)
+
+    const failing = db.queryStream('SELECT * FROM missing')
+    await expect(collect(failing)).to.be.rejectedWith('no such table: missing')
+  })
+
+  it('exports CSV', async function () {
+    await createDB()
+    expect(await db.exportCsv('SELECT name, tags, data FROM item ORDER BY id', [], './data/export/items.csv')).to.be.equal(3)
+    expect(fs.readFileSync('./data/export/items.csv', 'utf8')).to.be.equal(
+      'name,tags,data\nplain,"[""a""]",aGk=\n"with, comma",,\n"with ""quotes""\nand a line","{""b"":1}",\n'
+    )
+
+    const output = new PassThrough()
+    const [count, csv] = await Promise.all([
+      db.exportCsv('SELECT * FROM item WHERE id = ?', [1], output, { delimiter: ';', header: false, blobEncoding: 'hex', columns: ['data', 'id'] }),
+      collect(output)
+    ])
+    expect(count).to.be.equal(1)
+    expect(csv).to.be.equal('6869;1\n')
+  })
+
+  it('exports the header of an empty result, if the columns are given', async function () {
+    await createDB()
+    await db.exportCsv('SELECT * FROM item WHERE id = 0', [], './data/empty.csv')
+    expect(fs.readFileSync('./data/empty.csv', 'utf8')).to.be.equal('')
+    await db.exportCsv('SELECT * FROM item WHERE id = 0', [], './data/empty.csv', { columns: ['id', 'name'] })
+    expect(fs.readFileSync('./data/empty.csv', 'utf8')).to.be.equal('id,name\n')
+  })
+
+  it('exports NDJSON', async function () {
+    await createDB()
+    const output = new PassThrough()
+    const [count, ndjson] = await Promise.all([
+      db.exportNdjson('SELECT id, tags, data FROM item WHERE id <= ?', [2], output),
+      collect(output)
+    ])
+    expect(count).to.be.equal(2)
+    expect(ndjson.split('\n')).to.deep.equal([
+      '{"id":1,"tags":["a"],"data":"aGk="}',
+      '{"id":2,"tags":null,"data":null}',
+      ''
+    ])
+  })
+
+  it('checks the options of the export', async function () {
+    await createDB()
+    await expect(db.exportCsv('SELECT 1', [], new PassThrough(), { delimiter: '"' })).to.be.rejectedWith('The delimiter """ is not valid for the exportCsv command of DB()')
+    await expect(db.exportNdjson('SELECT 1', [], new PassThrough(), { blobEncoding: 'utf8' })).to.be.rejectedWith('Unknown blobEncoding "utf8" for the exportNdjson command of DB()')
+    await expect(db.exportCsv('SELECT 1', [], new PassThrough(), { columns: [] })).to.be.rejectedWith('columns has to be a non-empty array for the exportCsv command of DB()')
+    await expect(db.exportCsv('SELECT 1')).to.be.rejectedWith('Writable is missing for the export commands of DB()')
+    await expect(db.exportCsv('SELECT * FROM missing', [], new PassThrough())).to.be.rejectedWith('no such table: missing')
+  })
+})
@@ -0,0 +1,181 @@
+const { describe, it, afterEach } = require('mocha')
+const chai = require('chai')
+const chaiAsPromised = require('chai-as-promised')
+chai.use(chaiAsPromised)
+const { expect } = chai
+
+const DB = require('../src/generators')
+const { CsvParser, NdjsonParser } = require('../src/import')
+const fs = require('fs')
+const path = require('path')
+const { Readable } = require('stream')
+let db = null
+
+async function createDB () {
+  db = new DB({ migrate: false })
+  await db.exec('CREATE TABLE user (id INTEGER PRIMARY KEY, email TEXT NOT NULL UNIQUE, name TEXT, age INTEGER)')
+}
+
+describe('Import', function () {
+  afterEach(async () => {
+    db && await db.close()
+    db = null
+    fs.rmSync(path.resolve(process.cwd(), './data'), { recursive: true, force: true })
+  })
+
+  it('parses CSV in pieces', function () {
+    const parser = new CsvParser(',')
+    const text = '\uFEFFa,b\r\n"x, ""y""",\n\n"multi\nline",""\nlast,1'
+    const records = []
+    // split into single characters to cross every boundary
+    for (const char of text) {
+      records.push(...parser.write(char))
+    }
+    records.push(...parser.end())
+    expect(records).to.deep.equal([
+      { values: ['a', 'b'], line: 1 },
+      { values: ['x, "y"', null], line: 2 },
+      { values: ['multi\nline', ''], line: 4 },
+      { values: ['last', '1'], line: 6 }
+    ])
+    const open = new CsvParser(',')
+    open.write('a\n"b')
+    expect(() => open.end()).to.throw('The quote of the field in line 2 is not closed')
+  })
+
+  it('imports a file in batches', async function () {
+    await createDB()
+    fs.mkdirSync(path.resolve(process.cwd(), './data'), { recursive: true })
+    fs.writeFileSync('./data/users.csv', 'email,name,age\n' + Array.from({ length: 25 }, (v, i) => `u${i}@a.de,User ${i},${i}`).join('\n'))
+    const begins = []
+    db.on('query', ({ sql }) => /^BEGIN/.test(sql) && begins.push(sql))
+    expect(await db.importCsv('user', './data/users.csv', { batchSize: 10 })).to.deep.equal({ inserted: 25, skipped: 0, errors: [] })
+    expect(begins).to.have.lengthOf(3)
+    expect(await db.queryFirstRow('SELECT email, name, age FROM user WHERE id = 3')).to.deep.equal({ email: 'u2@a.de', name: 'User 2', age: 2 })
+  })
+
+  it('reports the lines of failing rows', async function () {
+    await createDB()
+    const csv = [
+      'a@a.de;A;1',
+      'a@a.de;Again;2',
+      ';Nobody;3',
+      'b@a.de;B',
+      '"c@a.de";"C; the third";'
+    ].join('\n')
+    const result = await db.importCsv('user', Readable.from([csv]), { header: false, columns: ['email', 'name', 'age'], delimiter: ';' })
+    expect(result).to.deep.equal({
+      inserted: 2,
+      skipped: 3,
+      errors: [
+        { line: 2, message: 'SQLITE_CONSTRAINT: UNIQUE constraint failed: user.email' },
+        { line: 3, message: 'SQLITE_CONSTRAINT: NOT NULL constraint failed: user.email' },
+        { line: 4, message: 'Expected 3 fields but found 2' }
+      ]
+    })
+    expect(await db.query('SELECT email, name, age FROM user')).to.deep.equal([
+      { email: 'a@a.de', name: 'A', age: 1 },
+      { email: 'c@a.de', name: 'C; the third', age: null }
+    ])
+  })
+
+  it('ignores, replaces or updates existing rows', async function () {
+    await createDB()
+    await db.insert('user', { email: 'a@a.de', name: 'A', age: 1 })
+    const csv = () => Readable.from(['email,name\na@a.de,New\nb@a.de,B\n'])
+
+    expect(await db.importCsv('user', csv(), { onConflict: 'ignore' })).to.deep.equal({ inserted: 1, skipped: 1, errors: [] })
+    expect(await db.queryFirstRow('SELECT name, age FROM user WHERE email = ?', 'a@a.de')).to.deep.equal({ name: 'A', age: 1 })
+
+    expect(await db.importCsv('user', csv(), { onConflict: 'upsert', conflictColumns: 'email' })).to.deep.equal({ inserted: 2, skipped: 0, errors: [] })
+    expect(await db.queryFirstRow('SELECT name, age FROM user WHERE email = ?', 'a@a.de')).to.deep.equal({ name: 'New', age: 1 })
+
+    expect(await db.importCsv('user', csv(), { onConflict: 'replace' })).to.deep.equal({ inserted: 2, skipped: 0, errors: [] })
+    expect(await db.queryFirstRow('SELECT name, age FROM user WHERE email = ?', 'a@a.de')).to.deep.equal({ name: 'New', age: null })
+    expect(await db.count('user')).to.be.equal(2)
+  })
+
+  it('stops on other errors', async function () {
+    await createDB()
+    const csv = 'email,unknown\na@a.de,x\n'
+    await expect(db.importCsv('user', Readable.from([csv]))).to.be.rejectedWith('table user has no column named unknown')
+    await expect(db.importCsv('user', './data/missing.csv')).to.be.rejectedWith('ENOENT')
+    await expect(db.importCsv('user', Readable.from(['email\n"open']))).to.be.rejectedWith('The quote of the field in line 2 is not closed')
+    await expect(db.importCsv('user', Readable.from([csv]), { header: false })).to.be.rejectedWith('Columns are missing for the importCsv command of DB() without header')
+    await expect(db.importCsv('user', Readable.from([csv]), { onConflict: 'merge' })).to.be.rejectedWith('Unknown onConflict "merge" for the importCsv command of DB()')
+    await expect(db.importCsv('user', Readable.from([csv]), { batchSize: 0 })).to.be.rejectedWith('batchSize has to be a positive integer for the importCsv command of DB()')
+    await expect(db.importCsv('user')).to.be.rejectedWith('Source is missing for the importCsv command of DB()')
+    expect(await db.count('user')).to.be.equal(0)
+  })
+
+  it('checks the conflict columns for upsert before the file is read', async function () {
+    await createDB()
+    let read = false
+    const source = new Readable({ read () { read = true; this.push(null) } })
+    await expect(db.importCsv('user', source, { onConflict: 'upsert' })).to.be.rejectedWith('Conflict columns are missing for onConflict "upsert" of the importCsv command of DB()')
+    await expect(db.importNdjson('user', source, { onConflict: 'upsert', conflictColumns: [] })).to.be.rejectedWith('Conflict columns are missing for onConflict "upsert" of the importNdjson command of DB()')
+    expect(read).to.be.equal(false)
+  })
+
+  it('parses NDJSON in pieces', function () {
+    const parser = new NdjsonParser()
+    const text = '\uFEFF{"a":1}\r\n\n  \n{"b":"x\\ny"}\n[1]'
+    const records = []
+    for (const char of text) {
+      records.push(...parser.write(char))
+    }
+    records.push(...parser.end())
+    expect(records).to.deep.equal([
+      { text: '{"a":1}', line: 1 },
+      { text: '{"b":"x\\ny"}', line: 4 },
+      { text: '[1]', line: 5 }
+    ])
+  })
+
+  it('imports NDJSON in batches', async function () {
+    await createDB()
+    fs.mkdirSync(path.resolve(process.cwd(), './data'), { recursive: true })
+    fs.writeFileSync('./data/users.ndjson', Array.from({ length: 25 }, (v, i) => JSON.stringify({ email: `u${i}@a.de`, name: `User ${i}`, age: i })).join('\n'))
+    const begins = []
+    db.on('query', ({ sql }) => /^BEGIN/.test(sql) && begins.push(sql))
+    expect(await db.importNdjson('user', './data/users.ndjson', { batchSize: 10 })).to.deep.equal({ inserted: 25, skipped: 0, errors: [] })
+    expect(begins).to.have.lengthOf(3)
+    expect(await db.queryFirstRow('SELECT email, name, age FROM user WHERE id = 3')).to.deep.equal({ email: 'u2@a.de', name: 'User 2', age: 2 })
+  })
+
+  it('reports the lines of failing NDJSON rows', async function () {
+    await createDB()
+    const ndjson = [
+      '{"email":"a@a.de","name":"A","age":1}',
+      '{"email":"a@a.de","name":"Again"}',
+      '{"email":"b@a.de","nickname":"B"}',
+      '{"email":"c@a.de",',
+      '["d@a.de"]',
+      '{"age":4,"email":"e@a.de"}'
+    ].join('\n')
+    const result = await db.importNdjson('user', Readable.from([ndjson]))
+    expect(result.inserted).to.be.equal(2)
+    expect(result.skipped).to.be.equal(4)
+    expect(result.errors.map(({ line }) => line)).to.deep.equal([2, 3, 4, 5])
+    expect(result.errors[0].message).to.be.equal('SQLITE_CONSTRAINT: UNIQUE constraint failed: user.email')
+    expect(result.errors[1].message).to.be.equal('Unexpected field "nickname"')
+    expect(result.errors[3].message).to.be.equal('Expected a JSON object with fields')
+    expect(await db.query('SELECT email, name, age FROM user')).to.deep.equal([
+      { email: 'a@a.de', name: 'A', age: 1 },
+      { email: 'e@a.de', name: null, age: 4 }
+    ])
+  })
+
+  it('encodes the values of NDJSON and updates existing rows', async function () {
+    db = new DB({ migrate: false, codecs: { item: { active: 'boolean' } } })
+    await db.exec('CREATE TABLE item (key TEXT PRIMARY KEY, active INTEGER, data TEXT)')
+    await db.insert('item', { key: 'a', active: false, data: null })
+    const ndjson = '{"key":"a","active":true,"data":{"x":[1]}}\n{"key":"b","active":false,"data":"text"}\n'
+    expect(await db.importNdjson('item', Readable.from([ndjson]), { onConflict: 'upsert', conflictColumns: 'key' }))
+      .to.deep.equal({ inserted: 2, skipped: 0, errors: [] })
+    expect(await db.query('SELECT key, active, data FROM item ORDER BY key')).to.deep.equal([
+      { key: 'a', active: true, data: '{"x":[1]}' },
+      { key: 'b', active: false, data: 'text' }
+    ])
+  })
+})
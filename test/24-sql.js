@@ -0,0 +1,77 @@
+const { describe, it, afterEach } = require('mocha')
+const chai = require('chai')
+const chaiAsPromised = require('chai-as-promised')
+chai.use(chaiAsPromised)
+const { expect } = chai
+
+const DB = require('../src/generators')
+const { sql } = DB
+const fs = require('fs')
+const path = require('path')
+let db = null
+
+describe('SQL Template', function () {
+  afterEach(async () => {
+    db && await db.close()
+    db = null
+    fs.rmSync(path.resolve(process.cwd(), './data'), { recursive: true, force: true })
+  })
+
+  async function createDB () {
+    db = new DB({ migrate: false })
+    await db.exec('CREATE TABLE user (id INTEGER PRIMARY KEY, name TEXT, `group` TEXT)')
+    await db.insertMany('user', [{ name: 'a', group: 'x' }, { name: 'b', group: 'y' }, { name: 'c', group: null }])
+  }
+
+  it('creates parameterized SQL', function () {
+    const ids = [1, 2]
+    const condition = sql`${sql.id('u.group')} = ${'x'}`
+    const query = sql`SELECT * FROM ${sql.id('user')} u WHERE id IN ${ids} AND ${condition} AND name != ${"'; DROP TABLE user"}`
+    expect(query.text).to.be.equal('SELECT * FROM `user` u WHERE id IN (?, ?) AND `u`.`group` = ? AND name != ?')
+    expect(query.params).to.deep.equal([1, 2, 'x', "'; DROP TABLE user"])
+    expect(sql`id IN ${[]}`.text).to.be.equal('id IN ()')
+    expect(sql.id('we`ird').text).to.be.equal('`we``ird`')
+    expect(() => sql.id('')).to.throw('The name for sql.id of DB() has to be a non-empty string')
+
+    const conditions = [sql`name = ${'a'}`, sql`${sql.id('group')} IS NULL`]
+    const joined = sql`SELECT id FROM user WHERE ${sql.join(conditions, ' OR ')} ORDER BY ${sql.join([sql.id('name'), sql.id('id')])}`
+    expect(joined.text).to.be.equal('SELECT id FROM user WHERE name = ? OR `group` IS NULL ORDER BY `name`, `id`')
+    expect(joined.params).to.deep.equal(['a'])
+  })
+
+  it('is accepted by the query functions', async function () {
+    await createDB()
+    const names = ['a', 'c']
+    expect(await db.query(sql`SELECT name FROM user WHERE name IN ${names} ORDER BY id`)).to.deep.equal([{ name: 'a' }, { name: 'c' }])
+    expect(await db.queryFirstRow(sql`SELECT name FROM user WHERE id = ${2}`)).to.deep.equal({ name: 'b' })
+    expect(await db.queryFirstRowObject(sql`SELECT name FROM user WHERE id = ${4}`)).to.deep.equal({})
+    expect(await db.queryFirstCell(sql`SELECT COUNT(1) FROM user WHERE ${sql.id('group')} IS ${null}`)).to.be.equal(1)
+    expect(await db.queryColumn('name', sql`SELECT name FROM user WHERE id > ${1}`)).to.deep.equal(['b', 'c'])
+    expect(await db.queryColumn('name', sql`SELECT name FROM user WHERE id IN ${[]}`)).to.deep.equal([])
+    expect(await db.queryColumn('name', sql`SELECT name FROM user WHERE id NOT IN ${[]} ORDER BY id`)).to.deep.equal(['a', 'b', 'c'])
+    expect(await db.queryKeyAndColumn('name', 'id', sql`SELECT name, id FROM user WHERE id < ${3}`)).to.deep.equal({ a: 1, b: 2 })
+
+    const rows = []
+    expect(await db.each(sql`SELECT name FROM user WHERE id IN ${[1, 3]}`, (row) => rows.push(row.name))).to.be.equal(2)
+    for await (const row of db.queryIterate(sql`SELECT name FROM user WHERE id = ${3}`)) {
+      rows.push(row.name)
+    }
+    expect(rows).to.deep.equal(['a', 'c', 'c'])
+
+    expect((await db.run(sql`UPDATE user SET name = ${'d'} WHERE id = ${3}`)).changes).to.be.equal(1)
+    const statement = await db.prepare(sql`SELECT name FROM user WHERE id = ${3}`)
+    expect(await statement.get()).to.deep.equal({ name: 'd' })
+    await statement.finalize()
+
+    expect(await db.delete('user', sql`name IN ${['a', 'b']}`)).to.be.equal(2)
+    expect(await db.count('user', sql`id = ${3}`)).to.be.equal(1)
+  })
+
+  it('takes no extra parameters', async function () {
+    await createDB()
+    await expect(db.query(sql`SELECT * FROM user WHERE id = ${1}`, 2)).to.be.rejectedWith('A query of sql`...` of DB() has its parameters already; pass them inside of the template')
+    await expect(db.exec(sql`DELETE FROM user WHERE id = ${1}`)).to.be.rejectedWith('Parameters can not be used for the exec command of DB()')
+    await db.exec(sql`DELETE FROM ${sql.id('user')}`)
+    expect(await db.count('user')).to.be.equal(0)
+  })
+})
@@ -0,0 +1,138 @@
+const { describe, it, afterEach } = require('mocha')
+const chai = require('chai')
+const chaiAsPromised = require('chai-as-promised')
+chai.use(chaiAsPromised)
+const { expect } = chai
+
+const DB = require('../src/generators')
+const { sql } = DB
+const fs = require('fs')
+const path = require('path')
+let db = null
+
+function createDB (options) {
+  return new DB(Object.assign({
+    migrate: {
+      migrationsPath: './test/migrations'
+    }
+  }, options))
+}
+
+describe('Statement Cache', function () {
+  afterEach(async () => {
+    db && await db.close()
+    db = null
+    fs.rmSync(path.resolve(process.cwd(), './data'), { recursive: true, force: true })
+  })
+
+  it('prepares a query only once', async function () {
+    db = createDB({ statementCache: true })
+    for (let i = 0; i < 3; i++) {
+      expect(await db.queryFirstRow('SELECT value FROM Setting WHERE key = ?', 'test')).to.deep.equal({ value: 'now' })
+      expect(await db.queryFirstRow('SELECT value FROM Setting WHERE key = ?', 'none')).to.be.equal(undefined)
+    }
+    expect(db.statementCacheStats()).to.deep.equal({ size: 1, hits: 5, misses: 1, evictions: 0 })
+  })
+
+  it('gives the same results as without the cache', async function () {
+    db = createDB({ statementCache: true })
+    await db.insertMany('Setting', [{ key: 'a', value: '1' }, { key: 'b', value: '2' }])
+    for (let i = 0; i < 2; i++) {
+      expect(await db.queryColumn('key', 'SELECT key FROM Setting ORDER BY key')).to.deep.equal(['a', 'b', 'test'])
+      expect(await db.query('SELECT key FROM Setting WHERE value > ? ORDER BY key', '1')).to.deep.equal([{ key: 'b' }, { key: 'test' }])
+      expect(await db.queryFirstCell(sql`SELECT value FROM Setting WHERE key = ${'a'}`)).to.be.equal('1')
+      expect(await db.queryFirstCell('SELECT count(*) FROM Setting')).to.be.equal(3)
+      const keys = []
+      expect(await db.each('SELECT key FROM Setting ORDER BY key', (row) => keys.push(row.key))).to.be.equal(3)
+      expect(keys).to.deep.equal(['a', 'b', 'test'])
+    }
+    const result = await db.run('UPDATE Setting SET value = ? WHERE key = ?', '3', 'a')
+    expect(result.changes).to.be.equal(1)
+    expect((await db.run('UPDATE Setting SET value = ? WHERE key = ?', '3', 'none')).changes).to.be.equal(0)
+    expect(db.statementCacheStats().hits).to.be.above(0)
+  })
+
+  it('finalizes the least recently used statement', async function () {
+    db = createDB({ statementCache: 2 })
+    await db.query('SELECT 1')
+    await db.query('SELECT 2')
+    await db.query('SELECT 1')
+    await db.query('SELECT 3')
+    expect(db.statementCacheStats()).to.deep.equal({ size: 2, hits: 1, misses: 3, evictions: 1 })
+    // SELECT 2 was pushed out
+    await db.query('SELECT 2')
+    expect(db.statementCacheStats()).to.deep.equal({ size: 2, hits: 1, misses: 4, evictions: 2 })
+  })
+
+  it('finalizes the statements on close', async function () {
+    db = createDB({ statementCache: true })
+    await db.query('SELECT * FROM Setting')
+    await db.close()
+    expect(db.statementCacheStats().size).to.be.equal(0)
+    expect(await db.query('SELECT * FROM Setting')).to.have.lengthOf(1)
+    expect(db.statementCacheStats()).to.deep.equal({ size: 1, hits: 0, misses: 2, evictions: 0 })
+  })
+
+  it('clears the cache when the schema changes', async function () {
+    db = createDB({ statementCache: true })
+    await db.query('SELECT * FROM Setting')
+    await db.exec('ALTER TABLE Setting ADD COLUMN note TEXT')
+    expect(db.statementCacheStats().size).to.be.equal(0)
+    expect(await db.queryFirstRow('SELECT * FROM Setting')).to.have.property('note')
+    await db.migrate({ migrationsPath: './test/migrations', to: 0 })
+    expect(db.statementCacheStats().size).to.be.equal(0)
+    await expect(db.query('SELECT * FROM Setting')).to.be.rejectedWith('no such table')
+    // statements that couldn't be prepared are not cached
+    expect(db.statementCacheStats().size).to.be.equal(0)
+    await db.run('CREATE TABLE Setting (key TEXT)')
+    expect(db.statementCacheStats().size).to.be.equal(0)
+    expect(await db.query('SELECT * FROM Setting')).to.deep.equal([])
+  })
+
+  it('caches the statements of the readers and transactions', async function () {
+    db = createDB({ statementCache: true, pool: { readers: 2 } })
+    await Promise.all([1, 2, 3, 4].map(() => db.queryFirstCell('SELECT value FROM Setting')))
+    const { size, hits, misses } = db.statementCacheStats()
+    expect(size).to.be.equal(misses)
+    expect(hits + misses).to.be.equal(4)
+    await db.transaction(async (tx) => {
+      await tx.insert('Setting', { key: 'a', value: 'b' })
+      expect(await tx.queryFirstCell('SELECT value FROM Setting WHERE key = ?', 'a')).to.be.equal('b')
+    })
+    expect(await db.queryFirstCell('SELECT value FROM Setting WHERE key = ?', 'a')).to.be.equal('b')
+    await db.close()
+    expect(db.statementCacheStats().size).to.be.equal(0)
+  })
+
+  it('keeps writes with a new statement out of a transaction that is rolled back', async function () {
+    db = createDB({ statementCache: true })
+    await db.connection()
+    const statements = []
+    db.on('query', ({ sql }) => statements.push(sql))
+    // the statement of the write is prepared first, while the transaction starts
+    const [written, transaction] = await Promise.allSettled([
+      db.run("INSERT INTO Setting (key, value) VALUES ('run', '1')"),
+      db.transaction(async (tx) => {
+        await tx.insert('Setting', { key: 'tx', value: '2' })
+        throw new Error('stop')
+      })
+    ])
+    expect(written.value.changes).to.be.equal(1)
+    expect(transaction.reason.message).to.be.equal('stop')
+    expect(await db.queryColumn('key', 'SELECT key FROM Setting ORDER BY key')).to.deep.equal(['run', 'test'])
+    expect(statements.slice(0, 2)).to.deep.equal(["INSERT INTO Setting (key, value) VALUES ('run', '1')", 'BEGIN DEFERRED'])
+  })
+
+  it('is off by default', async function () {
+    db = createDB()
+    await db.query('SELECT 1')
+    await db.query('SELECT 1')
+    expect(db.statementCacheStats()).to.deep.equal({ size: 0, hits: 0, misses: 0, evictions: 0 })
+  })
+
+  it('checks the option', function () {
+    expect(() => new DB({ statementCache: -1 })).to.throw('The statementCache of DB() has to be true or a positive integer')
+    expect(() => new DB({ statementCache: 1.5 })).to.throw('The statementCache of DB() has to be true or a positive integer')
+    expect(() => new DB({ statementCache: '10' })).to.throw('The statementCache of DB() has to be true or a positive integer')
+  })
+})